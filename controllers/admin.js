@@ -0,0 +1,390 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { validate } = require('../utils/schema');
+const { moderationNote, roleChange } = require('../schemas/admin');
+const { ROLES } = require('../utils/authorization');
+const { recordAdminAction } = require('../utils/adminLog');
+const { auditEvent, auditUser } = require('../utils/audit');
+const { publishEventChange } = require('../utils/changes');
+const { formatUser } = require('../utils/userFormat');
+const { formatEvent } = require('../utils/eventFormat');
+const { countAttendance } = require('../utils/attendance');
+const { isRestorable, restoreOwnerEvents } = require('../utils/deletion');
+const { BUMP_VERSION } = require('../utils/versioning');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+} = require('../utils/pagination');
+
+const ACCOUNT_STATUSES = ['active', 'suspended', 'deleted'];
+
+const USER_SEARCH_QUERY = {
+  type: 'object',
+  title: 'Invalid user search query.',
+  properties: {
+    q: { type: 'string', maxLength: 100 },
+    role: { type: 'options', options: Object.values(ROLES) },
+    status: { type: 'options', options: ACCOUNT_STATUSES },
+    limit: { type: 'number', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string' },
+  },
+};
+
+const ACTION_LOG_QUERY = {
+  type: 'object',
+  title: 'Invalid admin action query.',
+  properties: {
+    adminId: { type: 'objectId' },
+    targetId: { type: 'objectId' },
+    limit: { type: 'number', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string' },
+  },
+};
+
+const getUsers = () => mongodb.getDb().collection('users');
+const getEvents = () => mongodb.getDb().collection('events');
+const getActions = () => mongodb.getDb().collection('admin_actions');
+
+const toIso = (date) => (date ? date.toISOString() : null);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatAdminUser = (doc) => ({
+  ...formatUser(doc),
+  role: doc.role || ROLES.USER,
+  createdAt: toIso(doc.createdAt),
+  signIn: {
+    google: Boolean(doc.googleId),
+    password: Boolean(doc.password),
+  },
+  suspendedAt: toIso(doc.suspendedAt),
+  suspensionReason: doc.suspensionReason || null,
+  deletedAt: toIso(doc.deletedAt),
+});
+
+const formatAction = (doc) => ({
+  id: doc._id.toString(),
+  adminId: doc.adminId,
+  action: doc.action,
+  targetType: doc.targetType,
+  targetId: doc.targetId,
+  details: doc.details,
+  requestId: doc.requestId,
+  at: doc.at.toISOString(),
+});
+
+const parseObjectId = (id, label) => {
+  if (!ObjectId.isValid(id)) {
+    throw new ValidationError(`Invalid ${label} id format.`);
+  }
+
+  return ObjectId.createFromHexString(id);
+};
+
+// Pages through a collection newest first, keyed on _id.
+const applyIdCursor = (conditions, cursorValue) => {
+  if (!cursorValue) {
+    return;
+  }
+
+  const cursor = decodeCursor(cursorValue);
+  if (!cursor) {
+    throw new ValidationError('Invalid cursor.');
+  }
+  conditions.push({ _id: { $lt: ObjectId.createFromHexString(cursor.id) } });
+};
+
+const toPage = (docs, limit, format) => {
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    data: page.map(format),
+    paging: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(null, last._id.toString()) : null,
+    },
+  };
+};
+
+exports.getUsers = async (req, res) => {
+  /*
+    #swagger.description = 'Admin only. List and search user accounts, newest first. Deleted accounts are only listed with status=deleted.'
+    #swagger.parameters['q'] = { in: 'query', type: 'string', description: 'Case-insensitive match on email, first or last name' }
+    #swagger.parameters['role'] = { in: 'query', type: 'string', enum: ['user', 'admin'] }
+    #swagger.parameters['status'] = { in: 'query', type: 'string', enum: ['active', 'suspended', 'deleted'] }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 20, max 100)' }
+    #swagger.parameters['cursor'] = { in: 'query', type: 'string', description: 'nextCursor from the previous page' }
+  */
+  const query = validate(USER_SEARCH_QUERY, req.query);
+  const limit = Math.trunc(query.limit || DEFAULT_PAGE_SIZE);
+  const conditions = [];
+
+  if (query.q) {
+    const pattern = { $regex: escapeRegex(query.q), $options: 'i' };
+    conditions.push({ $or: [{ email: pattern }, { firstName: pattern }, { lastName: pattern }] });
+  }
+  if (query.role === ROLES.USER) {
+    conditions.push({ role: { $ne: ROLES.ADMIN } });
+  } else if (query.role) {
+    conditions.push({ role: query.role });
+  }
+  if (query.status === 'deleted') {
+    conditions.push({ deletedAt: { $ne: null } });
+  } else {
+    conditions.push({ deletedAt: null });
+    if (query.status) {
+      conditions.push({ suspendedAt: query.status === 'suspended' ? { $ne: null } : null });
+    }
+  }
+  applyIdCursor(conditions, query.cursor);
+
+  const users = await getUsers()
+    .find({ $and: conditions })
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  await recordAdminAction(req, 'user.search', { type: 'user', id: null }, {
+    q: query.q,
+    role: query.role,
+    status: query.status,
+  });
+
+  return res.status(200).json(toPage(users, limit, formatAdminUser));
+};
+
+exports.suspendUser = async (req, res) => {
+  /*
+    #swagger.description = 'Admin only. Suspend an account: its sessions and access tokens stop working and it cannot sign in until restored.'
+    #swagger.requestBody = {
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/ModerationNote' }
+        }
+      }
+    }
+  */
+  const userId = parseObjectId(req.params.id, 'user');
+  const { reason } = validate(moderationNote, req.body || {});
+
+  if (req.params.id === req.user.id) {
+    throw new ValidationError('Administrators cannot suspend themselves.');
+  }
+
+  const suspension = { suspendedAt: new Date(), suspensionReason: reason || null, suspendedBy: req.user.id };
+  const previous = await getUsers().findOneAndUpdate(
+    { _id: userId, suspendedAt: null, deletedAt: null },
+    { $set: suspension, ...BUMP_VERSION },
+  );
+
+  if (!previous) {
+    const exists = await getUsers().countDocuments({ _id: userId, deletedAt: null }, { limit: 1 });
+    if (exists) {
+      throw new ConflictError('User is already suspended.');
+    }
+    throw new NotFoundError('User not found.');
+  }
+
+  const user = { ...previous, ...suspension };
+  await auditUser(req, 'update', previous, user);
+  await recordAdminAction(req, 'user.suspend', { type: 'user', id: req.params.id }, { reason });
+
+  return res.status(200).json(formatAdminUser(user));
+};
+
+exports.restoreUser = async (req, res) => {
+  /*
+    #swagger.description = 'Admin only. Lift the suspension of an account.'
+    #swagger.requestBody = {
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/ModerationNote' }
+        }
+      }
+    }
+  */
+  const userId = parseObjectId(req.params.id, 'user');
+  const { reason } = validate(moderationNote, req.body || {});
+
+  const previous = await getUsers().findOneAndUpdate(
+    { _id: userId, suspendedAt: { $ne: null }, deletedAt: null },
+    { $unset: { suspendedAt: '', suspensionReason: '', suspendedBy: '' }, ...BUMP_VERSION },
+  );
+
+  if (!previous) {
+    const exists = await getUsers().countDocuments({ _id: userId, deletedAt: null }, { limit: 1 });
+    if (exists) {
+      throw new ConflictError('User is not suspended.');
+    }
+    throw new NotFoundError('User not found.');
+  }
+
+  const { suspendedAt, suspensionReason, suspendedBy, ...user } = previous;
+  await auditUser(req, 'update', previous, user);
+  await recordAdminAction(req, 'user.restore', { type: 'user', id: req.params.id }, { reason });
+
+  return res.status(200).json(formatAdminUser(user));
+};
+
+exports.setUserRole = async (req, res) => {
+  /*
+    #swagger.description = 'Admin only. Grant or remove the admin role.'
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/RoleChange' }
+        }
+      }
+    }
+  */
+  const userId = parseObjectId(req.params.id, 'user');
+  const { role } = validate(roleChange, req.body);
+
+  if (req.params.id === req.user.id && role !== ROLES.ADMIN) {
+    throw new ValidationError('Administrators cannot remove their own admin role.');
+  }
+
+  const previous = await getUsers().findOneAndUpdate(
+    { _id: userId, deletedAt: null },
+    { $set: { role }, ...BUMP_VERSION },
+  );
+
+  if (!previous) {
+    throw new NotFoundError('User not found.');
+  }
+
+  await auditUser(req, 'update', previous, { ...previous, role });
+  await recordAdminAction(req, 'user.role', { type: 'user', id: req.params.id }, {
+    from: previous.role || ROLES.USER,
+    to: role,
+  });
+
+  return res.status(200).json(formatAdminUser({ ...previous, role }));
+};
+
+exports.undeleteUser = async (req, res) => {
+  /*
+    #swagger.description = 'Admin only. Undo the deletion of an account within 30 days of it. The events deleted along with the account are restored too; the seats and waitlist places it gave up are not.'
+    #swagger.requestBody = {
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/ModerationNote' }
+        }
+      }
+    }
+  */
+  const userId = parseObjectId(req.params.id, 'user');
+  const { reason } = validate(moderationNote, req.body || {});
+
+  const deleted = await getUsers().findOne({ _id: userId, deletedAt: { $ne: null } });
+
+  if (!deleted || !isRestorable(deleted)) {
+    throw new NotFoundError('Deleted user not found.');
+  }
+
+  const user = await getUsers().findOneAndUpdate(
+    { _id: userId, deletedAt: deleted.deletedAt },
+    { $unset: { deletedAt: '', deletedBy: '' }, ...BUMP_VERSION },
+    { returnDocument: 'after' },
+  );
+
+  if (!user) {
+    throw new NotFoundError('Deleted user not found.');
+  }
+
+  const events = await restoreOwnerEvents(req.params.id);
+  await auditUser(req, 'restore', deleted, user);
+  for (const event of events) {
+    const { deletedAt, deletedBy, deletedWithOwner, ...restored } = event;
+    await auditEvent(req, 'restore', event, restored, { restoredWithOwner: req.params.id });
+    await publishEventChange(req, 'restored', restored, { restoredWithOwner: req.params.id });
+  }
+  await recordAdminAction(req, 'user.undelete', { type: 'user', id: req.params.id }, {
+    reason,
+    events: events.length,
+  });
+
+  return res.status(200).json(formatAdminUser(user));
+};
+
+exports.getEvent = async (req, res) => {
+  /*
+    #swagger.description = 'Admin only. Get any event, whatever its visibility.'
+  */
+  const eventId = parseObjectId(req.params.id, 'event');
+  const event = await getEvents().findOne({ _id: eventId, deletedAt: null });
+
+  if (!event) {
+    throw new NotFoundError('Event not found.');
+  }
+
+  await recordAdminAction(req, 'event.view', { type: 'event', id: req.params.id });
+
+  const attendance = await countAttendance([event._id]);
+  return res.status(200).json(formatEvent(event, attendance.get(event._id.toString())));
+};
+
+exports.deleteEvent = async (req, res) => {
+  /*
+    #swagger.description = 'Admin only. Delete any event (the whole series). A copy of the event is kept in the admin log; like any deleted event it can be restored through POST /events/{id}/restore for 30 days, but only by an administrator.'
+    #swagger.parameters['reason'] = { in: 'query', type: 'string', description: 'Why the event was removed' }
+  */
+  const eventId = parseObjectId(req.params.id, 'event');
+  const { reason } = validate(moderationNote, { reason: req.query.reason });
+
+  const deletion = { deletedAt: new Date(), deletedBy: req.user.id };
+  const event = await getEvents().findOneAndUpdate(
+    { _id: eventId, deletedAt: null },
+    { $set: deletion, ...BUMP_VERSION },
+  );
+
+  if (!event) {
+    throw new NotFoundError('Event not found.');
+  }
+
+  await auditEvent(req, 'delete', event, { ...event, ...deletion });
+  await publishEventChange(req, 'deleted', event);
+  await recordAdminAction(req, 'event.delete', { type: 'event', id: req.params.id }, {
+    reason,
+    ownerID: event.ownerID,
+    snapshot: formatEvent(event),
+  });
+
+  return res.status(204).send();
+};
+
+exports.getActions = async (req, res) => {
+  /*
+    #swagger.description = 'Admin only. The admin action log, newest first.'
+    #swagger.parameters['adminId'] = { in: 'query', type: 'string', description: 'Only actions by this administrator' }
+    #swagger.parameters['targetId'] = { in: 'query', type: 'string', description: 'Only actions on this user or event' }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 20, max 100)' }
+    #swagger.parameters['cursor'] = { in: 'query', type: 'string', description: 'nextCursor from the previous page' }
+  */
+  const query = validate(ACTION_LOG_QUERY, req.query);
+  const limit = Math.trunc(query.limit || DEFAULT_PAGE_SIZE);
+  const conditions = [];
+
+  if (query.adminId) {
+    conditions.push({ adminId: query.adminId });
+  }
+  if (query.targetId) {
+    conditions.push({ targetId: query.targetId });
+  }
+  applyIdCursor(conditions, query.cursor);
+
+  const actions = await getActions()
+    .find(conditions.length ? { $and: conditions } : {})
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  return res.status(200).json(toPage(actions, limit, formatAction));
+};
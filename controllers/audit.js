@@ -0,0 +1,171 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { validate } = require('../utils/schema');
+const { isAdmin } = require('../utils/authorization');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+} = require('../utils/pagination');
+
+const TARGET_TYPES = ['event', 'user'];
+
+const HISTORY_QUERY = {
+  type: 'object',
+  title: 'Invalid history query.',
+  properties: {
+    actorId: { type: 'objectId' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    limit: { type: 'number', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string' },
+  },
+  rules: [
+    {
+      field: 'to',
+      message: 'to must be after from.',
+      check: ({ from, to }) => !from || !to || to > from,
+    },
+  ],
+};
+
+const AUDIT_QUERY = {
+  ...HISTORY_QUERY,
+  title: 'Invalid audit query.',
+  properties: {
+    ...HISTORY_QUERY.properties,
+    targetType: { type: 'options', options: TARGET_TYPES },
+    targetId: { type: 'objectId' },
+    ownerId: { type: 'objectId' },
+    action: { type: 'string', description: 'e.g. event.update' },
+  },
+};
+
+const getCollection = () => mongodb.getDb().collection('audit_log');
+
+const formatEntry = (doc) => ({
+  id: doc._id.toString(),
+  at: doc.at.toISOString(),
+  actorId: doc.actorId,
+  tokenId: doc.tokenId,
+  action: doc.action,
+  targetType: doc.targetType,
+  targetId: doc.targetId,
+  ownerId: doc.ownerId,
+  changes: doc.changes,
+  context: doc.context,
+  requestId: doc.requestId,
+});
+
+// Newest first, paged on _id (entries are only ever appended).
+const findEntries = async (conditions, query) => {
+  const limit = Math.trunc(query.limit || DEFAULT_PAGE_SIZE);
+
+  if (query.actorId) {
+    conditions.push({ actorId: query.actorId });
+  }
+  if (query.from) {
+    conditions.push({ at: { $gte: query.from } });
+  }
+  if (query.to) {
+    conditions.push({ at: { $lt: query.to } });
+  }
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      throw new ValidationError('Invalid cursor.');
+    }
+    conditions.push({ _id: { $lt: ObjectId.createFromHexString(cursor.id) } });
+  }
+
+  const entries = await getCollection()
+    .find(conditions.length ? { $and: conditions } : {})
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = entries.length > limit;
+  const page = entries.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    data: page.map(formatEntry),
+    paging: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(null, last._id.toString()) : null,
+    },
+  };
+};
+
+exports.getAuditLog = async (req, res) => {
+  /*
+    #swagger.description = 'Admin only. Search the audit log of changes to users and events, newest first.'
+    #swagger.parameters['targetType'] = { in: 'query', type: 'string', enum: ['event', 'user'] }
+    #swagger.parameters['targetId'] = { in: 'query', type: 'string' }
+    #swagger.parameters['actorId'] = { in: 'query', type: 'string', description: 'Only changes made by this user' }
+    #swagger.parameters['ownerId'] = { in: 'query', type: 'string', description: 'Only changes to this user or their events' }
+    #swagger.parameters['action'] = { in: 'query', type: 'string', description: 'e.g. event.delete' }
+    #swagger.parameters['from'] = { in: 'query', type: 'string', format: 'date-time' }
+    #swagger.parameters['to'] = { in: 'query', type: 'string', format: 'date-time' }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 20, max 100)' }
+    #swagger.parameters['cursor'] = { in: 'query', type: 'string', description: 'nextCursor from the previous page' }
+  */
+  const query = validate(AUDIT_QUERY, req.query);
+  const conditions = [];
+
+  if (query.targetType) {
+    conditions.push({ targetType: query.targetType });
+  }
+  if (query.targetId) {
+    conditions.push({ targetId: query.targetId });
+  }
+  if (query.ownerId) {
+    conditions.push({ ownerId: query.ownerId });
+  }
+  if (query.action) {
+    conditions.push({ action: query.action });
+  }
+
+  return res.status(200).json(await findEntries(conditions, query));
+};
+
+exports.getEventHistory = async (req, res) => {
+  /*
+    #swagger.description = 'Who changed an event and how, newest first. Available to the event owner (also after the event was deleted) and to admins.'
+    #swagger.parameters['actorId'] = { in: 'query', type: 'string', description: 'Only changes made by this user' }
+    #swagger.parameters['from'] = { in: 'query', type: 'string', format: 'date-time' }
+    #swagger.parameters['to'] = { in: 'query', type: 'string', format: 'date-time' }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 20, max 100)' }
+    #swagger.parameters['cursor'] = { in: 'query', type: 'string', description: 'nextCursor from the previous page' }
+  */
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid event id format.');
+  }
+
+  const query = validate(HISTORY_QUERY, req.query);
+  const conditions = [{ targetType: 'event' }, { targetId: id }];
+
+  // Ownership is read from the log itself so the history outlives the event;
+  // events older than the log have no entries yet but still belong to someone.
+  if (!isAdmin(req.user)) {
+    const owned = await getCollection().countDocuments(
+      { targetType: 'event', targetId: id, ownerId: req.user.id },
+      { limit: 1 },
+    );
+    const ownsEvent = owned || await mongodb.getDb().collection('events').countDocuments(
+      { _id: ObjectId.createFromHexString(id), ownerID: req.user.id },
+      { limit: 1 },
+    );
+    if (!ownsEvent) {
+      throw new NotFoundError('Event history not found.');
+    }
+    conditions.push({ ownerId: req.user.id });
+  }
+
+  return res.status(200).json(await findEntries(conditions, query));
+};
@@ -0,0 +1,228 @@
+const { ObjectId } = require('mongodb');
+const passport = require('passport');
+const mongodb = require('../db');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { validate } = require('../utils/schema');
+const {
+  registration,
+  login,
+  passwordChange,
+  passwordResetRequest,
+  passwordReset,
+} = require('../schemas/auth');
+const { ROLES } = require('../utils/authorization');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { normalizeEmail, toSessionUser } = require('../utils/accounts');
+const { INITIAL_VERSION, BUMP_VERSION } = require('../utils/versioning');
+const { sendMail } = require('../utils/mailer');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+const getUsers = () => mongodb.getDb().collection('users');
+const getResets = () => mongodb.getDb().collection('password_resets');
+
+const logIn = (req, user) => new Promise((resolve, reject) => {
+  req.login(user, (error) => (error ? reject(error) : resolve()));
+});
+
+// Outstanding reset links stop working once the password changed some other way.
+const revokeResetTokens = (userId) => getResets().deleteMany({ userId, usedAt: null });
+
+exports.register = async (req, res) => {
+  /*
+    #swagger.description = 'Create an account with email and password and sign in. An email already used by a Google account is refused: sign in with Google and set a password through PUT /auth/password instead.'
+    #swagger.security = []
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/Registration' }
+        }
+      }
+    }
+  */
+  const payload = validate(registration, req.body);
+  const email = normalizeEmail(payload.email);
+
+  const existing = await getUsers().findOne({ email }, { projection: { googleId: 1 } });
+  if (existing) {
+    throw new ConflictError(existing.googleId
+      ? 'This email belongs to a Google account. Sign in with Google to set a password.'
+      : 'A user with that email already exists.');
+  }
+
+  const doc = {
+    email,
+    firstName: payload.firstName,
+    lastName: payload.lastName,
+    password: await hashPassword(payload.password),
+    createdAt: new Date(),
+    role: ROLES.USER,
+    subscribetTo: [],
+    version: INITIAL_VERSION,
+  };
+  if (payload.timeZone) {
+    doc.timeZone = payload.timeZone;
+  }
+
+  const result = await getUsers().insertOne(doc);
+  const user = toSessionUser({ ...doc, _id: result.insertedId });
+  await logIn(req, user);
+
+  return res.status(201).json(user);
+};
+
+exports.login = (req, res, next) => {
+  /*
+    #swagger.description = 'Sign in with email and password. Starts the same session as the Google login.'
+    #swagger.security = []
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/Login' }
+        }
+      }
+    }
+  */
+  validate(login, req.body);
+
+  passport.authenticate('local', (error, user, info) => {
+    if (error) {
+      return next(error);
+    }
+    if (info && info.suspended) {
+      return next(new ForbiddenError('This account is suspended.'));
+    }
+    if (!user) {
+      return next(new UnauthorizedError('Invalid email or password.'));
+    }
+
+    return req.login(user, (loginError) => (
+      loginError ? next(loginError) : res.status(200).json(user)
+    ));
+  })(req, res, next);
+};
+
+exports.changePassword = async (req, res) => {
+  /*
+    #swagger.description = 'Change the password of the current user, or set one on an account that only signs in with Google'
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/PasswordChange' }
+        }
+      }
+    }
+  */
+  const payload = validate(passwordChange, req.body);
+  const userId = ObjectId.createFromHexString(req.user.id);
+  const user = await getUsers().findOne({ _id: userId }, { projection: { password: 1 } });
+
+  if (!user) {
+    throw new NotFoundError('User not found.');
+  }
+  if (user.password) {
+    if (payload.currentPassword === undefined) {
+      throw new ValidationError('currentPassword is required.');
+    }
+    if (!(await verifyPassword(payload.currentPassword, user.password))) {
+      throw new ForbiddenError('Current password is incorrect.');
+    }
+  }
+
+  await getUsers().updateOne(
+    { _id: userId },
+    { $set: { password: await hashPassword(payload.newPassword) }, ...BUMP_VERSION },
+  );
+  await revokeResetTokens(userId);
+
+  return res.status(204).send();
+};
+
+exports.requestPasswordReset = async (req, res) => {
+  /*
+    #swagger.description = 'Send a single-use password reset token (valid for one hour) to the account with this email. Always answers 202 so the endpoint does not reveal which emails have accounts.'
+    #swagger.security = []
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/PasswordResetRequest' }
+        }
+      }
+    }
+  */
+  const payload = validate(passwordResetRequest, req.body);
+  const user = await getUsers().findOne(
+    { email: normalizeEmail(payload.email), deletedAt: null },
+    { projection: { _id: 1 } },
+  );
+
+  if (user) {
+    const token = generateToken();
+    const now = new Date();
+    await getResets().insertOne({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MS),
+      usedAt: null,
+    });
+
+    // Not awaited: the response should not take longer for existing accounts.
+    sendMail({
+      to: normalizeEmail(payload.email),
+      subject: 'Reset your password',
+      text: `Use this token to set a new password. It works once and expires in one hour.\n\n${token}`,
+      // Carries a credential: transports that log mail must leave the text out.
+      sensitive: true,
+    }).catch((err) => console.error(`[${req.id}] Password reset mail failed:`, err));
+  }
+
+  return res.status(202).json({ message: 'If an account uses this email, a reset token has been sent.' });
+};
+
+exports.resetPassword = async (req, res) => {
+  /*
+    #swagger.description = 'Set a new password with a reset token. Tokens work once and expire after one hour.'
+    #swagger.security = []
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/PasswordReset' }
+        }
+      }
+    }
+  */
+  const payload = validate(passwordReset, req.body);
+  const now = new Date();
+
+  // Marking the token used in the same step that finds it keeps two
+  // concurrent requests from both spending it.
+  const reset = await getResets().findOneAndUpdate(
+    { tokenHash: hashToken(payload.token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+  );
+
+  if (!reset) {
+    throw new ValidationError('Invalid or expired reset token.');
+  }
+
+  // Receiving the token proves the user controls the mailbox.
+  const result = await getUsers().updateOne(
+    { _id: reset.userId, deletedAt: null },
+    { $set: { password: await hashPassword(payload.password), emailVerifiedAt: now }, ...BUMP_VERSION },
+  );
+
+  if (!result.matchedCount) {
+    throw new ValidationError('Invalid or expired reset token.');
+  }
+
+  await revokeResetTokens(reset.userId);
+
+  return res.status(204).send();
+};
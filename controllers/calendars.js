@@ -0,0 +1,82 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { getSubscribedOwnerIds, buildVisibilityFilter } = require('../utils/visibility');
+const { generateToken, hashToken, matchesHash } = require('../utils/tokens');
+const { serializeCalendar } = require('../utils/ical');
+const { NotFoundError } = require('../utils/errors');
+const { BUMP_VERSION } = require('../utils/versioning');
+const { findActiveUser } = require('../utils/accounts');
+
+const getUsers = () => mongodb.getDb().collection('users');
+const getEvents = () => mongodb.getDb().collection('events');
+
+exports.createCalendarToken = async (req, res) => {
+  /*
+    #swagger.description = 'Create (or rotate) the secret token for the user calendar feed. Any previous token stops working.'
+  */
+  const { id } = req.params;
+  const token = generateToken();
+
+  const result = await getUsers().updateOne(
+    { _id: ObjectId.createFromHexString(id) },
+    { $set: { calendarTokenHash: hashToken(token) }, ...BUMP_VERSION },
+  );
+
+  if (!result.matchedCount) {
+    throw new NotFoundError('User not found.');
+  }
+
+  const url = `${req.protocol}://${req.get('host')}/users/${id}/calendar.ics?token=${token}`;
+  return res.status(201).json({ token, url });
+};
+
+exports.revokeCalendarToken = async (req, res) => {
+  /*
+    #swagger.description = 'Revoke the secret token for the user calendar feed'
+  */
+  const { id } = req.params;
+
+  const result = await getUsers().updateOne(
+    { _id: ObjectId.createFromHexString(id) },
+    { $unset: { calendarTokenHash: '' }, ...BUMP_VERSION },
+  );
+
+  if (!result.matchedCount) {
+    throw new NotFoundError('User not found.');
+  }
+
+  return res.status(204).send();
+};
+
+exports.getCalendarFeed = async (req, res) => {
+  /*
+    #swagger.description = 'iCalendar feed of the user own events plus the events visible through their subscriptions. Authenticated by the secret token instead of the session.'
+    #swagger.security = []
+    #swagger.parameters['token'] = { in: 'query', required: true, type: 'string' }
+    #swagger.produces = ['text/calendar']
+  */
+  const { id } = req.params;
+
+  // Every failure is reported the same way so the feed does not reveal
+  // whether a user exists, had a token or was deleted or suspended.
+  const user = await findActiveUser(id);
+
+  if (!user || !matchesHash(req.query.token, user.calendarTokenHash)) {
+    throw new NotFoundError('Calendar not found.');
+  }
+
+  const subscribedOwnerIds = await getSubscribedOwnerIds(id);
+  const visibilityFilter = await buildVisibilityFilter(id, subscribedOwnerIds);
+  const events = await getEvents().find({
+    $and: [
+      visibilityFilter,
+      { ownerID: { $in: [id, ...subscribedOwnerIds] } },
+    ],
+  }).toArray();
+
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return res
+    .status(200)
+    .type('text/calendar; charset=utf-8')
+    .send(serializeCalendar(events, { name: name || 'Events' }));
+};
@@ -1,150 +1,654 @@
 const { ObjectId } = require('mongodb');
 const mongodb = require('../db');
-const { validateUserPayload, ValidationError } = require('../utils/errors');
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  ServiceUnavailableError,
+} = require('../utils/errors');
+const { validate } = require('../utils/schema');
+const {
+  VISIBILITY_OPTIONS,
+  eventInput,
+  eventUpdate,
+  occurrenceUpdate,
+} = require('../schemas/events');
+const {
+  getSubscribedOwnerIds,
+  buildVisibilityFilter,
+  canViewEvent,
+} = require('../utils/visibility');
+const {
+  locateOccurrence,
+  applyException,
+  expandOccurrences,
+  seriesEnd,
+  truncateSeries,
+  continueSeries,
+} = require('../utils/recurrence');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+} = require('../utils/pagination');
+const { serializeCalendar, parseCalendar } = require('../utils/ical');
+const { formatEvent, formatOccurrence } = require('../utils/eventFormat');
+const {
+  countAttendance,
+  promoteAllWaitlisted,
+  deleteAttendance,
+  moveAttendance,
+} = require('../utils/attendance');
+const { conflictModeOf, findConflicts } = require('../utils/conflicts');
+const { isValidTimeZone, parseDateTime } = require('../utils/timezones');
+const { getDisplayTimeZone } = require('../utils/preferences');
+const { auditEvent } = require('../utils/audit');
+const { publishEventChange } = require('../utils/changes');
+const { isAdmin, policies } = require('../utils/authorization');
+const { isRestorable } = require('../utils/deletion');
+const { rescheduleReminders } = require('../utils/reminders');
+const {
+  INITIAL_VERSION,
+  BUMP_VERSION,
+  versionOf,
+  setETag,
+  ifMatchFilter,
+} = require('../utils/versioning');
+const { isPlainObject, applyMergePatch, pick } = require('../utils/mergePatch');
+const {
+  parseLatLng,
+  parseBounds,
+  withinRadius,
+  withinBounds,
+  distanceTo,
+} = require('../utils/geo');
+const { resolveLocation } = require('../utils/geocoding');
 
 const EVENTS_COLLECTION = 'events';
-const VISIBILITY_OPTIONS = ['public', 'subscribers', 'private'];
+const MAX_OCCURRENCE_WINDOW_DAYS = 366;
+const DEFAULT_TIME_ZONE = 'UTC';
+const EDIT_SCOPES = ['this', 'this-and-following', 'all'];
+const SORT_OPTIONS = ['datetime_start', '-datetime_start', 'datetime_end', '-datetime_end'];
+const EDITABLE_FIELDS = Object.keys(eventInput.properties);
+const DEFAULT_RADIUS_M = 10 * 1000;
+const MAX_RADIUS_M = 500 * 1000;
+
+// Overriding VEVENTs repeat series-level properties such as CLASS; only the
+// ones an occurrence can override are kept.
+const IMPORTED_OCCURRENCE = { ...occurrenceUpdate, strict: false };
+
+const EVENT_LIST_QUERY = {
+  type: 'object',
+  title: 'Invalid event query.',
+  properties: {
+    startFrom: { type: 'date', timeZoneField: 'tz' },
+    startTo: { type: 'date', timeZoneField: 'tz' },
+    endFrom: { type: 'date', timeZoneField: 'tz' },
+    endTo: { type: 'date', timeZoneField: 'tz' },
+    ownerID: { type: 'objectId' },
+    visibility: { type: 'options', options: VISIBILITY_OPTIONS },
+    q: { type: 'string' },
+    sort: { type: 'options', options: SORT_OPTIONS },
+    limit: { type: 'number', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string' },
+    tz: { type: 'timezone' },
+    near: {
+      type: 'string',
+      validate: (value) => (parseLatLng(value) ? undefined : 'near must be "latitude,longitude".'),
+    },
+    radius: { type: 'number', min: 1, max: MAX_RADIUS_M },
+    bbox: {
+      type: 'string',
+      validate: (value) => (parseBounds(value)
+        ? undefined
+        : 'bbox must be "south,west,north,east", with south < north, west < east and less than 180 degrees across.'),
+    },
+  },
+  rules: [
+    {
+      field: 'radius',
+      message: 'radius only applies together with near.',
+      check: ({ near, radius }) => radius === undefined || near !== undefined,
+    },
+  ],
+};
 
 const getCollection = () => mongodb.getDb().collection(EVENTS_COLLECTION);
 
-const formatEvent = (doc) => ({
-  id: doc._id.toString(),
-  ownerID: doc.ownerID,
-  visibility: doc.visibility,
-  googlePoint: doc.googlePoint,
-  description: doc.description,
-  datetime_start: doc.datetime_start.toISOString(),
-  datetime_end: doc.datetime_end.toISOString(),
-  period: doc.period.toISOString(),
-  repeatUntil: doc.repeatUntil.toISOString(),
-});
-
-exports.getEvents = async (_, res) => {
+// Fills in the location of a validated payload through the geocoder.
+const resolvePayloadLocation = async (payload) => {
+  if (payload.location) {
+    payload.location = await resolveLocation(payload.location);
+  }
+  return payload;
+};
+
+// Works out which occurrences a scoped update/delete targets and returns
+// { scope, occurrence, index }. Throws when the request cannot be honoured.
+const resolveScope = (event, query) => {
+  const scope = query.scope || 'all';
+
+  if (!EDIT_SCOPES.includes(scope)) {
+    throw new ValidationError(`scope must be one of: ${EDIT_SCOPES.join(', ')}.`);
+  }
+  if (scope === 'all') {
+    return { scope };
+  }
+  if (!event.recurrence) {
+    throw new ValidationError(`scope "${scope}" only applies to recurring events.`);
+  }
+
+  const occurrence = new Date(query.occurrence);
+  if (Number.isNaN(occurrence.getTime())) {
+    throw new ValidationError('occurrence must be a valid date.');
+  }
+
+  const index = locateOccurrence(event, occurrence);
+  if (index === -1) {
+    throw new NotFoundError('Occurrence not found.');
+  }
+
+  return { scope, occurrence, index };
+};
+
+// Runs the opt-in conflict check against the owner's other events. Returns
+// undefined when no check was requested and the list of conflicting
+// occurrences otherwise; in strict mode conflicts are thrown as a 409.
+const checkConflicts = async (query, candidate, ownerId, excludeIds = []) => {
+  const mode = conflictModeOf(query);
+  if (!mode) {
+    return undefined;
+  }
+
+  const conflicts = (await findConflicts(candidate, ownerId, excludeIds))
+    .map(({ event, occurrence }) => formatOccurrence(event, occurrence));
+
+  if (mode === 'strict' && conflicts.length) {
+    throw new ConflictError('The event overlaps existing events.', { conflicts });
+  }
+
+  return conflicts;
+};
+
+// Applies `update` to a live event and bumps its version. When the request
+// sent If-Match, the write only happens at a version it accepts. Reminders
+// are planned again for the new state. Resolves the new version.
+const writeEvent = async (req, event, update) => {
+  const ifMatch = ifMatchFilter(req);
+  const previous = await getCollection().findOneAndUpdate(
+    { _id: event._id, deletedAt: null, ...ifMatch },
+    { ...update, ...BUMP_VERSION },
+    { projection: { version: 1 } },
+  );
+
+  if (!previous) {
+    throw ifMatch.version ? new PreconditionFailedError() : new NotFoundError('Event not found.');
+  }
+
+  await rescheduleReminders(event._id);
+  return versionOf(previous) + 1;
+};
+
+// Replaces whatever exception is stored for the same occurrence and returns
+// the updated event.
+const storeException = async (req, event, exception) => {
+  const exceptions = (event.exceptions || []).filter(
+    (existing) => existing.originalStart.getTime() !== exception.originalStart.getTime(),
+  );
+  exceptions.push(exception);
+
+  const end = seriesEnd({ ...event, exceptions });
+  const version = await writeEvent(req, event, { $set: { exceptions, seriesEnd: end } });
+  return { ...event, exceptions, seriesEnd: end, version };
+};
+
+// Records and publishes a change to one occurrence: the event document only
+// changes in its exceptions, and the context says which occurrence was meant.
+const recordOccurrenceChange = async (req, before, after, originalStart) => {
+  const context = { scope: 'this', occurrence: originalStart.toISOString() };
+  await auditEvent(req, 'update', before, after, context);
+  await publishEventChange(req, 'updated', after, context);
+};
+
+const saveOccurrenceOverride = async (req, res, event, originalStart) => {
+  const previous = (event.exceptions || []).find(
+    (exception) =>
+      exception.originalStart.getTime() === originalStart.getTime() && !exception.cancelled,
+  );
+  const payload = validate(occurrenceUpdate, req.body, {
+    defaults: { ...previous, timeZone: event.timeZone },
+  });
+
+  if (!Object.keys(payload).length) {
+    throw new ValidationError('No update fields provided.');
+  }
+  await resolvePayloadLocation(payload);
+
+  // The occurrence is checked as it will be, like a single event; the other
+  // occurrences of its own series are left out as on whole-series edits.
+  const exception = { ...previous, ...payload, originalStart };
+  const duration = event.datetime_end.getTime() - event.datetime_start.getTime();
+  const { start, end } = applyException(originalStart, duration, exception);
+  // An end sent without a start is measured against the generated start.
+  if (end <= start) {
+    throw new ValidationError('Invalid occurrence payload.', [
+      { field: 'datetime_end', message: 'datetime_end must be after datetime_start.' },
+    ]);
+  }
+  const warnings = await checkConflicts(
+    req.query,
+    { datetime_start: start, datetime_end: end },
+    event.ownerID,
+    [event._id],
+  );
+
+  const updated = await storeException(req, event, exception);
+  await recordOccurrenceChange(req, event, updated, originalStart);
+  setETag(res, updated);
+  if (warnings) {
+    return res.status(200).json({ warnings });
+  }
+  return res.status(204).send();
+};
+
+const assertValidTimeZoneQuery = (query) => {
+  if (query.tz && !isValidTimeZone(query.tz)) {
+    throw new ValidationError('tz must be a valid IANA time zone name.');
+  }
+};
+
+// Loads an event the current user may read; events they may not see are
+// reported as missing.
+const findVisibleEvent = async (id, viewerId) => {
+  if (!ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid event id format.');
+  }
+
+  const event = await getCollection().findOne({
+    _id: ObjectId.createFromHexString(id),
+    deletedAt: null,
+  });
+  if (!event) {
+    throw new NotFoundError('Event not found.');
+  }
+
+  const subscribedOwnerIds = await getSubscribedOwnerIds(viewerId);
+  if (!canViewEvent(event, viewerId, subscribedOwnerIds)) {
+    throw new NotFoundError('Event not found.');
+  }
+
+  return event;
+};
+
+exports.getEvents = async (req, res) => {
   /*
-    #swagger.description = 'Get all events'
+    #swagger.description = 'List events visible to the current user, with filtering, sorting and cursor pagination'
+    #swagger.parameters['startFrom'] = { in: 'query', type: 'string', format: 'date-time', description: 'Only events with datetime_start >= startFrom' }
+    #swagger.parameters['startTo'] = { in: 'query', type: 'string', format: 'date-time', description: 'Only events with datetime_start < startTo' }
+    #swagger.parameters['endFrom'] = { in: 'query', type: 'string', format: 'date-time', description: 'Only events with datetime_end >= endFrom' }
+    #swagger.parameters['endTo'] = { in: 'query', type: 'string', format: 'date-time', description: 'Only events with datetime_end < endTo' }
+    #swagger.parameters['ownerID'] = { in: 'query', type: 'string' }
+    #swagger.parameters['visibility'] = { in: 'query', type: 'string', enum: ['public', 'subscribers', 'private'] }
+    #swagger.parameters['q'] = { in: 'query', type: 'string', description: 'Free-text search on description' }
+    #swagger.parameters['sort'] = { in: 'query', type: 'string', enum: ['datetime_start', '-datetime_start', 'datetime_end', '-datetime_end'], description: 'Sort field, prefixed with - for descending (default datetime_start)' }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 20, max 100)' }
+    #swagger.parameters['cursor'] = { in: 'query', type: 'string', description: 'nextCursor from the previous page' }
+    #swagger.parameters['tz'] = { in: 'query', type: 'string', description: 'IANA time zone to render times in (default: the user timeZone preference, then UTC)' }
+    #swagger.parameters['near'] = { in: 'query', type: 'string', description: 'latitude,longitude: only events located within radius of this point; each result gets its distance in meters' }
+    #swagger.parameters['radius'] = { in: 'query', type: 'number', description: 'Search radius around near, in meters (default 10000, max 500000)' }
+    #swagger.parameters['bbox'] = { in: 'query', type: 'string', description: 'south,west,north,east: only events located within this box' }
   */
-  try {
-    const events = await getCollection().find().toArray();
-    return res.status(200).json(events.map(formatEvent));
-  } catch (error) {
-    console.error('Failed to fetch events', error);
-    return res.status(500).json({ message: 'Failed to fetch events.' });
+  const query = validate(EVENT_LIST_QUERY, req.query);
+  const sort = query.sort || 'datetime_start';
+  const sortField = sort.replace(/^-/, '');
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const limit = Math.trunc(query.limit || DEFAULT_PAGE_SIZE);
+
+  const timeZone = await getDisplayTimeZone(req);
+  const conditions = [await buildVisibilityFilter(req.user.id)];
+
+  if (query.startFrom) {
+    conditions.push({ datetime_start: { $gte: query.startFrom } });
+  }
+  if (query.startTo) {
+    conditions.push({ datetime_start: { $lt: query.startTo } });
+  }
+  if (query.endFrom) {
+    conditions.push({ datetime_end: { $gte: query.endFrom } });
+  }
+  if (query.endTo) {
+    conditions.push({ datetime_end: { $lt: query.endTo } });
+  }
+  if (query.ownerID) {
+    conditions.push({ ownerID: query.ownerID });
   }
+  if (query.visibility) {
+    conditions.push({ visibility: query.visibility });
+  }
+  if (query.q) {
+    conditions.push({ $text: { $search: query.q } });
+  }
+  const near = query.near && parseLatLng(query.near);
+  if (near) {
+    conditions.push(withinRadius(near, query.radius || DEFAULT_RADIUS_M));
+  }
+  if (query.bbox) {
+    conditions.push(withinBounds(parseBounds(query.bbox)));
+  }
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    const value = cursor && new Date(cursor.v);
+    if (!value || Number.isNaN(value.getTime())) {
+      throw new ValidationError('Invalid cursor.');
+    }
+    conditions.push(buildCursorFilter(sortField, direction, value, cursor.id));
+  }
+
+  const events = await getCollection()
+    .find({ $and: conditions })
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = events.length > limit;
+  const page = events.slice(0, limit);
+  const last = page[page.length - 1];
+
+  const attendance = await countAttendance(page.map((event) => event._id));
+
+  const format = (event) => formatEvent(event, attendance.get(event._id.toString()), timeZone);
+
+  return res.status(200).json({
+    data: near
+      ? page.map((event) => ({ ...format(event), distance: Math.round(distanceTo(near, event.location.point)) }))
+      : page.map(format),
+    paging: {
+      limit,
+      sort,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor(last[sortField].toISOString(), last._id.toString())
+        : null,
+    },
+  });
 };
 
-exports.getEvent = async (req, res) => {
+exports.getOccurrences = async (req, res) => {
   /*
-    #swagger.description = 'Get one event by id'
+    #swagger.description = 'Expand every visible event series into concrete occurrences within [from, to)'
+    #swagger.parameters['from'] = { in: 'query', required: true, type: 'string', format: 'date-time' }
+    #swagger.parameters['to'] = { in: 'query', required: true, type: 'string', format: 'date-time' }
+    #swagger.parameters['tz'] = { in: 'query', type: 'string', description: 'IANA time zone to render times in (default: the user timeZone preference, then UTC)' }
   */
-  const { id } = req.params;
+  assertValidTimeZoneQuery(req.query);
 
-  if (!ObjectId.isValid(id)) {
-    return res.status(400).json({ message: 'Invalid event id format.' });
+  const from = parseDateTime(req.query.from, req.query.tz);
+  const to = parseDateTime(req.query.to, req.query.tz);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new ValidationError('from and to must be valid dates.');
+  }
+  if (to <= from) {
+    throw new ValidationError('to must be after from.');
+  }
+  if (to - from > MAX_OCCURRENCE_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ValidationError(`The window may span at most ${MAX_OCCURRENCE_WINDOW_DAYS} days.`);
   }
 
-  try {
-    const event = await getCollection().findOne({
-      _id: ObjectId.createFromHexString(id),
-    });
+  const timeZone = await getDisplayTimeZone(req);
+  const visibilityFilter = await buildVisibilityFilter(req.user.id);
+  const events = await getCollection().find({
+    $and: [
+      visibilityFilter,
+      { datetime_start: { $lt: to } },
+      {
+        $or: [
+          { recurrence: null, datetime_end: { $gt: from } },
+          { recurrence: { $ne: null } },
+        ],
+      },
+    ],
+  }).toArray();
 
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found.' });
-    }
+  const occurrences = events
+    .flatMap((event) =>
+      expandOccurrences(event, from, to).map((occurrence) => ({ event, occurrence })))
+    .sort((a, b) => a.occurrence.start - b.occurrence.start)
+    .map(({ event, occurrence }) => formatOccurrence(event, occurrence, timeZone));
 
-    return res.status(200).json(formatEvent(event));
-  } catch (error) {
-    console.error(`Failed to fetch event ${id}`, error);
-    return res.status(500).json({ message: 'Failed to fetch event.' });
-  }
+  return res.status(200).json(occurrences);
+};
+
+exports.getEvent = async (req, res) => {
+  /*
+    #swagger.description = 'Get one event by id. Events the current user may not see are reported as not found.'
+    #swagger.parameters['tz'] = { in: 'query', type: 'string', description: 'IANA time zone to render times in (default: the user timeZone preference, then UTC)' }
+  */
+  assertValidTimeZoneQuery(req.query);
+
+  const event = await findVisibleEvent(req.params.id, req.user.id);
+  const attendance = await countAttendance([event._id]);
+  const timeZone = await getDisplayTimeZone(req);
+
+  setETag(res, event);
+  return res.status(200).json(formatEvent(event, attendance.get(event._id.toString()), timeZone));
+};
+
+exports.exportEvent = async (req, res) => {
+  /*
+    #swagger.description = 'Download one event (with its recurrence and exceptions) as an iCalendar file'
+    #swagger.produces = ['text/calendar']
+  */
+  const event = await findVisibleEvent(req.params.id, req.user.id);
+
+  return res
+    .status(200)
+    .type('text/calendar; charset=utf-8')
+    .attachment(`${req.params.id}.ics`)
+    .send(serializeCalendar([event]));
 };
 
 exports.createEvent = async (req, res) => {
   /*
-    #swagger.description = 'Create new event'
+    #swagger.description = 'Create new event. With checkConflicts=true the response lists overlapping occurrences of the owner other events as warnings; with strict=true overlaps are rejected with 409.'
+    #swagger.parameters['checkConflicts'] = { in: 'query', type: 'boolean' }
+    #swagger.parameters['strict'] = { in: 'query', type: 'boolean' }
     #swagger.requestBody = {
       required: true,
       content: {
         "application/json": {
-          schema: {
-            type: 'object',
-            required: [
-              'visibility',
-              'description',
-              'datetime_start',
-              'datetime_end'
-            ],
-            properties: {
-              visibility: {
-                type: 'string',
-                enum: ['public', 'subscribers', 'private']
-              },
-              googlePoint: { type: 'string' },
-              description: { type: 'string' },
-              datetime_start: { type: 'string', format: 'date-time' },
-              datetime_end: { type: 'string', format: 'date-time' },
-              period: { type: 'string', format: 'date-time' },
-              repeatUntil: { type: 'string', format: 'date-time' }
-            }
-          }
+          schema: { $ref: '#/components/schemas/EventInput' }
         }
       }
     }
   */
-  let payload;
+  const payload = await resolvePayloadLocation(validate(eventInput, req.body));
+  const warnings = await checkConflicts(req.query, payload, req.user.id);
 
-  try {
-    payload = validateUserPayload(req.body, [
-      {
-        name: "visibility",
-        type: "options",
-        required: true,
-        options: VISIBILITY_OPTIONS
-      },
-      {
-        name: "googlePoint",
-        type: "string",
-      },
-      {
-        name: "description",
-        type: "string",
-        required: true,
-      },
-      {
-        name: "datetime_start",
-        type: "date",
-        required: true,
-      },
-      {
-        name: "datetime_end",
-        type: "date",
-        required: true,
-      },
-      {
-        name: "period",
-        type: "date",
-      },
-      {
-        name: "repeatUntil",
-        type: "date",
-      },
-    ]);
-  } catch (error) {
-    if (error instanceof ValidationError) {
-      return res.status(400).json({ message: error.message, details: error.details });
+  payload.timeZone = payload.timeZone || DEFAULT_TIME_ZONE;
+  payload.ownerID = req.user.id
+  payload.version = INITIAL_VERSION;
+  payload.seriesEnd = seriesEnd(payload);
+  const result = await getCollection().insertOne(payload);
+  await auditEvent(req, 'create', null, payload);
+  await publishEventChange(req, 'created', payload);
+  return res.status(201).json({ id: result.insertedId.toString(), warnings });
+};
+
+// Errors that reject one imported item rather than the whole import. Items
+// rejected while the geocoder is down are imported by a later run.
+const isItemError = (error) =>
+  error instanceof ValidationError || error instanceof ServiceUnavailableError;
+
+exports.importEvents = async (req, res) => {
+  /*
+    #swagger.description = 'Import the VEVENTs of an iCalendar file as events owned by the current user. Re-importing the same UIDs is a no-op.'
+    #swagger.parameters['visibility'] = { in: 'query', type: 'string', enum: ['public', 'subscribers', 'private'], description: 'Visibility for events without a CLASS property (default private)' }
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "text/calendar": {
+          schema: { type: 'string' }
+        }
+      }
     }
+  */
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    throw new ValidationError('Request body must be an iCalendar document (text/calendar).');
+  }
 
-    console.error('Unexpected validation error while creating event', error);
-    return res.status(500).json({ message: 'Failed to validate event payload.' });
+  const defaultVisibility = req.query.visibility || 'private';
+  if (!VISIBILITY_OPTIONS.includes(defaultVisibility)) {
+    throw new ValidationError(`visibility must be one of: ${VISIBILITY_OPTIONS.join(', ')}.`);
   }
 
+  let items;
   try {
-    payload.ownerID = req.user.id
-    const result = await getCollection().insertOne(payload);
-    return res.status(201).json({ id: result.insertedId.toString() });
+    items = parseCalendar(req.body);
   } catch (error) {
-    console.error('Error creating event', error);
-    return res.status(500).json({ message: 'Failed to create event.' });
+    throw new ValidationError(error.message);
   }
+
+  const ownerID = req.user.id;
+  const report = [];
+  // UID -> created event document, or null when the series was skipped.
+  const series = new Map();
+
+  for (const item of items.filter((entry) => !entry.recurrenceId)) {
+    const entry = { uid: item.uid };
+    report.push(entry);
+
+    if (!item.uid) {
+      Object.assign(entry, { status: 'rejected', reason: 'VEVENT has no UID.' });
+      continue;
+    }
+    if (series.has(item.uid)) {
+      Object.assign(entry, { status: 'skipped', reason: 'Duplicate UID in file.' });
+      continue;
+    }
+    if (item.error) {
+      Object.assign(entry, { status: 'rejected', reason: item.error });
+      continue;
+    }
+    if (item.cancelled) {
+      series.set(item.uid, null);
+      Object.assign(entry, { status: 'skipped', reason: 'Event is cancelled.' });
+      continue;
+    }
+
+    const existing = await getCollection().findOne({ ownerID, icalUID: item.uid });
+    if (existing) {
+      series.set(item.uid, null);
+      Object.assign(entry, {
+        status: 'skipped',
+        reason: existing.deletedAt ? 'Already imported and since deleted.' : 'Already imported.',
+        id: existing._id.toString(),
+      });
+      continue;
+    }
+
+    let payload;
+    try {
+      payload = await resolvePayloadLocation(
+        validate(eventInput, { visibility: defaultVisibility, ...item.payload }),
+      );
+    } catch (error) {
+      if (!isItemError(error)) {
+        throw error;
+      }
+      Object.assign(entry, { status: 'rejected', reason: error.message, details: error.details });
+      continue;
+    }
+
+    const doc = {
+      timeZone: DEFAULT_TIME_ZONE,
+      ...payload,
+      ownerID,
+      icalUID: item.uid,
+      version: INITIAL_VERSION,
+    };
+    doc.seriesEnd = seriesEnd(doc);
+    const result = await getCollection().insertOne(doc);
+    series.set(item.uid, doc);
+    Object.assign(entry, { status: 'created', id: result.insertedId.toString() });
+  }
+
+  const overridden = new Set();
+
+  for (const item of items.filter((entry) => entry.recurrenceId)) {
+    const entry = { uid: item.uid, recurrenceId: item.recurrenceId.toISOString() };
+    const parent = series.get(item.uid);
+    report.push(entry);
+
+    if (item.error) {
+      Object.assign(entry, { status: 'rejected', reason: item.error });
+      continue;
+    }
+    if (parent === null) {
+      Object.assign(entry, { status: 'skipped', reason: 'Parent event was skipped.' });
+      continue;
+    }
+    if (!parent || !parent.recurrence) {
+      Object.assign(entry, { status: 'rejected', reason: 'No recurring event with this UID in the file.' });
+      continue;
+    }
+    if (locateOccurrence(parent, item.recurrenceId) === -1) {
+      Object.assign(entry, { status: 'rejected', reason: 'RECURRENCE-ID does not match an occurrence.' });
+      continue;
+    }
+
+    let exception = { originalStart: item.recurrenceId, cancelled: true };
+    if (!item.cancelled) {
+      try {
+        exception = {
+          ...await resolvePayloadLocation(
+            validate(IMPORTED_OCCURRENCE, item.payload, { defaults: { timeZone: parent.timeZone } }),
+          ),
+          originalStart: item.recurrenceId,
+        };
+      } catch (error) {
+        if (!isItemError(error)) {
+          throw error;
+        }
+        Object.assign(entry, { status: 'rejected', reason: error.message, details: error.details });
+        continue;
+      }
+    }
+
+    parent.exceptions = (parent.exceptions || []).concat(exception);
+    overridden.add(parent);
+    Object.assign(entry, { status: 'created', id: parent._id.toString() });
+  }
+
+  for (const parent of overridden) {
+    parent.seriesEnd = seriesEnd(parent);
+    await getCollection().updateOne(
+      { _id: parent._id },
+      { $set: { exceptions: parent.exceptions, seriesEnd: parent.seriesEnd }, ...BUMP_VERSION },
+    );
+    parent.version += 1;
+  }
+
+  // Audited once the overrides are in, so each entry shows the event as the
+  // import left it.
+  for (const doc of series.values()) {
+    if (doc) {
+      await auditEvent(req, 'create', null, doc, { source: 'import' });
+      await publishEventChange(req, 'created', doc, { source: 'import' });
+    }
+  }
+
+  const count = (status) => report.filter((entry) => entry.status === status).length;
+  return res.status(200).json({
+    created: count('created'),
+    skipped: count('skipped'),
+    rejected: count('rejected'),
+    items: report,
+  });
 };
 
 exports.updateEvent = async (req, res) => {
@@ -154,117 +658,267 @@ exports.updateEvent = async (req, res) => {
       required: true,
       content: {
         "application/json": {
-          schema: {
-            type: 'object',
-            properties: {
-              visibility: {
-                type: 'string',
-                enum: ['public', 'subscribers', 'private']
-              },
-              googlePoint: { type: 'string' },
-              description: { type: 'string' },
-              datetime_start: { type: 'string', format: 'date-time' },
-              datetime_end: { type: 'string', format: 'date-time' },
-              period: { type: 'string', format: 'date-time' },
-              repeatUntil: { type: 'string', format: 'date-time' }
-            }
-          }
+          schema: { $ref: '#/components/schemas/EventUpdate' }
         }
       }
     }
+    #swagger.parameters['scope'] = { in: 'query', type: 'string', enum: ['this', 'this-and-following', 'all'], description: 'Which occurrences of a recurring event to change (default all)' }
+    #swagger.parameters['checkConflicts'] = { in: 'query', type: 'boolean', description: 'Report overlaps with the owner other events as warnings (200 instead of 204)' }
+    #swagger.parameters['strict'] = { in: 'query', type: 'boolean', description: 'Reject overlaps with 409' }
+    #swagger.parameters['occurrence'] = { in: 'query', type: 'string', format: 'date-time', description: 'Original start of the occurrence; required unless scope is all' }
+    #swagger.parameters['If-Match'] = { in: 'header', type: 'string', description: 'ETag from a previous read; the update fails with 412 if the event changed since' }
   */
-  const { id } = req.params;
+  const event = res.locals.event;
+  const target = resolveScope(event, req.query);
 
-  if (!ObjectId.isValid(id)) {
-    return res.status(400).json({ message: 'Invalid event id format.' });
+  if (target.scope === 'this') {
+    return saveOccurrenceOverride(req, res, event, target.occurrence);
   }
 
-  let payload;
+  const splitting = target.scope === 'this-and-following' && target.index > 0;
+  // The new series keeps the duration rather than the original end, so the
+  // end is only checked when the request sets it (see continueSeries).
+  const payload = validate(eventUpdate, req.body, {
+    defaults: splitting
+      ? { ...event, datetime_start: target.occurrence, datetime_end: undefined }
+      : event,
+  });
 
-  try {
-    payload = validateUserPayload(req.body, [
-      {
-        name: "visibility",
-        type: "options",
-        options: VISIBILITY_OPTIONS
-      },
-      {
-        name: "googlePoint",
-        type: "string",
-      },
-      {
-        name: "description",
-        type: "string",
-      },
-      {
-        name: "datetime_start",
-        type: "date",
-      },
-      {
-        name: "datetime_end",
-        type: "date",
-      },
-      {
-        name: "period",
-        type: "date",
-      },
-      {
-        name: "repeatUntil",
-        type: "date",
-      },
-    ]);
-  } catch (error) {
-    if (error instanceof ValidationError) {
-      return res.status(400).json({ message: error.message, details: error.details });
+  if (!Object.keys(payload).length) {
+    throw new ValidationError('No update fields provided.');
+  }
+  await resolvePayloadLocation(payload);
+
+  if (splitting) {
+    const series = continueSeries(event, target.occurrence, target.index, payload);
+    const warnings = await checkConflicts(req.query, series, event.ownerID, [event._id]);
+    const truncated = truncateSeries(event, target.occurrence, target.index);
+    const context = { scope: target.scope, occurrence: target.occurrence.toISOString() };
+
+    // The new series goes in first, so a failed write never leaves the
+    // original cut short with the rest of its occurrences missing.
+    series.version = INITIAL_VERSION;
+    const result = await getCollection().insertOne(series);
+    try {
+      await writeEvent(req, event, { $set: truncated });
+    } catch (err) {
+      await getCollection().deleteOne({ _id: result.insertedId });
+      throw err;
+    }
+    await auditEvent(req, 'update', event, { ...event, ...truncated }, context);
+    await auditEvent(req, 'create', null, series, { ...context, splitFrom: event._id.toString() });
+    await publishEventChange(req, 'updated', { ...event, ...truncated }, context);
+    await publishEventChange(req, 'created', series, { ...context, splitFrom: event._id.toString() });
+    if (series.datetime_start.getTime() === target.occurrence.getTime()) {
+      await moveAttendance(event._id, result.insertedId, target.occurrence);
+    } else {
+      await deleteAttendance(event._id, { $gte: target.occurrence });
     }
+    await rescheduleReminders(result.insertedId);
+    return res.status(201).json({ id: result.insertedId.toString(), warnings });
+  }
 
-    console.error('Unexpected validation error while updating event', error);
-    return res.status(500).json({ message: 'Failed to validate event payload.' });
+  return saveEventChanges(req, res, event, payload);
+};
+
+// Stores a whole-series edit: `changes` are set and `removed` fields unset.
+const saveEventChanges = async (req, res, event, changes, removed = []) => {
+  // A new location replaces the googlePoint of events stored before
+  // locations were structured.
+  if (changes.location && event.googlePoint !== undefined) {
+    removed = [...removed, 'googlePoint'];
   }
+  const updated = { ...event, ...changes };
+  removed.forEach((field) => delete updated[field]);
+  updated.seriesEnd = seriesEnd(updated);
 
-  if (!Object.keys(payload).length) {
-    return res.status(400).json({ message: 'No update fields provided.' });
+  const warnings = await checkConflicts(req.query, updated, event.ownerID, [event._id]);
+  const update = { $set: { ...changes, seriesEnd: updated.seriesEnd } };
+  if (removed.length) {
+    update.$unset = Object.fromEntries(removed.map((field) => [field, '']));
   }
+  updated.version = await writeEvent(req, event, update);
 
-  try {
-    const result = await getCollection().updateOne(
-      { _id: ObjectId.createFromHexString(id) },
-      { $set: payload },
-    );
+  await auditEvent(req, 'update', event, updated);
+  await publishEventChange(req, 'updated', updated);
+
+  // A series turned into a single event keeps only its event-wide RSVPs.
+  if (event.recurrence && !updated.recurrence) {
+    await deleteAttendance(event._id, { $ne: null });
+  }
+  if (updated.capacity && updated.capacity > (event.capacity || 0)) {
+    await promoteAllWaitlisted(updated);
+  }
 
-    if (!result.matchedCount) {
-      return res.status(404).json({ message: 'Event not found.' });
+  setETag(res, updated);
+  if (warnings) {
+    return res.status(200).json({ warnings });
+  }
+  return res.status(204).send();
+};
+
+exports.patchEvent = async (req, res) => {
+  /*
+    #swagger.description = 'Partially update an event (the whole series) with a JSON Merge Patch (RFC 7396): only the fields sent change, null removes an optional field, and recurrence is merged field by field. Honors If-Match like PUT.'
+    #swagger.parameters['checkConflicts'] = { in: 'query', type: 'boolean', description: 'Report overlaps with the owner other events as warnings (200 instead of 204)' }
+    #swagger.parameters['strict'] = { in: 'query', type: 'boolean', description: 'Reject overlaps with 409' }
+    #swagger.parameters['If-Match'] = { in: 'header', type: 'string', description: 'ETag from a previous read; the update fails with 412 if the event changed since' }
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/merge-patch+json": {
+          schema: { $ref: '#/components/schemas/EventUpdate' }
+        }
+      }
     }
+  */
+  const event = res.locals.event;
 
-    return res.status(204).send();
-  } catch (error) {
-    console.error(`Error updating event ${id}`, error);
-    return res.status(500).json({ message: 'Failed to update event.' });
+  if (!isPlainObject(req.body)) {
+    throw new ValidationError('Request body must be a JSON merge patch object.');
   }
+  if (!Object.keys(req.body).length) {
+    throw new ValidationError('No update fields provided.');
+  }
+
+  // A location sent in the patch replaces the stored one instead of merging
+  // into it, so a new address does not keep the old coordinates.
+  const current = pick(event, EDITABLE_FIELDS);
+  if (isPlainObject(req.body.location)) {
+    delete current.location;
+  }
+
+  const payload = await resolvePayloadLocation(validate(eventInput, applyMergePatch(current, req.body)));
+  payload.timeZone = payload.timeZone || DEFAULT_TIME_ZONE;
+
+  const removed = EDITABLE_FIELDS.filter((field) => payload[field] === undefined && event[field] !== undefined);
+  if (event.recurrence && !payload.recurrence) {
+    removed.push('exceptions');
+  }
+
+  return saveEventChanges(req, res, event, payload, removed);
 };
 
 exports.deleteEvent = async (req, res) => {
   /*
-    #swagger.description = 'Delete event by id'
+    #swagger.description = 'Delete event by id. Deleting the whole event can be undone through POST /events/{id}/restore for 30 days; after that it is purged with its RSVPs.'
+    #swagger.parameters['scope'] = { in: 'query', type: 'string', enum: ['this', 'this-and-following', 'all'], description: 'Which occurrences of a recurring event to delete (default all)' }
+    #swagger.parameters['occurrence'] = { in: 'query', type: 'string', format: 'date-time', description: 'Original start of the occurrence; required unless scope is all' }
+    #swagger.parameters['If-Match'] = { in: 'header', type: 'string', description: 'ETag from a previous read; the deletion fails with 412 if the event changed since' }
+  */
+  const event = res.locals.event;
+  const target = resolveScope(event, req.query);
+
+  if (target.scope === 'this') {
+    const updated = await storeException(req, event, { originalStart: target.occurrence, cancelled: true });
+    await deleteAttendance(event._id, target.occurrence);
+    await recordOccurrenceChange(req, event, updated, target.occurrence);
+    setETag(res, updated);
+    return res.status(204).send();
+  }
+
+  if (target.scope === 'this-and-following' && target.index > 0) {
+    const truncated = truncateSeries(event, target.occurrence, target.index);
+    const version = await writeEvent(req, event, { $set: truncated });
+    const context = { scope: target.scope, occurrence: target.occurrence.toISOString() };
+    await deleteAttendance(event._id, { $gte: target.occurrence });
+    await auditEvent(req, 'update', event, { ...event, ...truncated }, context);
+    await publishEventChange(req, 'updated', { ...event, ...truncated, version }, context);
+    setETag(res, { version });
+    return res.status(204).send();
+  }
+
+  const deletion = { deletedAt: new Date(), deletedBy: req.user.id };
+  await writeEvent(req, event, { $set: deletion });
+  await auditEvent(req, 'delete', event, { ...event, ...deletion });
+  await publishEventChange(req, 'deleted', event);
+
+  return res.status(204).send();
+};
+
+exports.restoreEvent = async (req, res) => {
+  /*
+    #swagger.description = 'Undo the deletion of an event within 30 days of it. Events removed by an administrator can only be restored by an administrator, and events deleted with their owner account come back when the account is restored.'
   */
   const { id } = req.params;
 
   if (!ObjectId.isValid(id)) {
-    return res.status(400).json({ message: 'Invalid event id format.' });
+    throw new ValidationError('Invalid event id format.');
   }
 
-  try {
-    const result = await getCollection().deleteOne({
-      _id: ObjectId.createFromHexString(id),
-    });
+  const event = await getCollection().findOne({
+    _id: ObjectId.createFromHexString(id),
+    deletedAt: { $ne: null },
+  });
 
-    if (!result.deletedCount) {
-      return res.status(404).json({ message: 'Event not found.' });
-    }
+  if (!event || !isRestorable(event) || !policies.modifyEvent(req.user, event)) {
+    throw new NotFoundError('Deleted event not found.');
+  }
+  if (event.deletedWithOwner) {
+    throw new ConflictError('The event was deleted with its owner account; restore the account instead.');
+  }
+  const ownerActive = ObjectId.isValid(event.ownerID) && await mongodb.getDb().collection('users').countDocuments(
+    { _id: ObjectId.createFromHexString(event.ownerID), deletedAt: null },
+    { limit: 1 },
+  );
+  if (!ownerActive) {
+    throw new ConflictError('The owner account of this event no longer exists.');
+  }
+  if (event.deletedBy !== event.ownerID && !isAdmin(req.user)) {
+    throw new ForbiddenError('Only an administrator can restore an event an administrator removed.');
+  }
 
-    return res.status(204).send();
-  } catch (error) {
-    console.error(`Error deleting event ${id}`, error);
-    return res.status(500).json({ message: 'Failed to delete event.' });
+  const restored = await getCollection().findOneAndUpdate(
+    { _id: event._id, deletedAt: event.deletedAt },
+    { $unset: { deletedAt: '', deletedBy: '' }, ...BUMP_VERSION },
+    { returnDocument: 'after' },
+  );
+
+  if (!restored) {
+    throw new NotFoundError('Deleted event not found.');
   }
+
+  await auditEvent(req, 'restore', event, restored);
+  await publishEventChange(req, 'restored', restored);
+  await rescheduleReminders(restored._id);
+
+  setETag(res, restored);
+  const attendance = await countAttendance([restored._id]);
+  return res.status(200).json(formatEvent(restored, attendance.get(restored._id.toString())));
+};
+
+exports.updateOccurrence = async (req, res) => {
+  /*
+    #swagger.description = 'Override a single occurrence of a recurring event. :date is the original start of the occurrence.'
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/OccurrenceUpdate' }
+        }
+      }
+    }
+    #swagger.parameters['checkConflicts'] = { in: 'query', type: 'boolean', description: 'Report overlaps with the owner other events as warnings (200 instead of 204)' }
+    #swagger.parameters['strict'] = { in: 'query', type: 'boolean', description: 'Reject overlaps with 409' }
+    #swagger.parameters['If-Match'] = { in: 'header', type: 'string', description: 'ETag from a previous read; the update fails with 412 if the event changed since' }
+  */
+  const event = res.locals.event;
+  const target = resolveScope(event, { scope: 'this', occurrence: req.params.date });
+
+  return saveOccurrenceOverride(req, res, event, target.occurrence);
+};
+
+exports.cancelOccurrence = async (req, res) => {
+  /*
+    #swagger.description = 'Cancel a single occurrence of a recurring event. :date is the original start of the occurrence.'
+    #swagger.parameters['If-Match'] = { in: 'header', type: 'string', description: 'ETag from a previous read; the update fails with 412 if the event changed since' }
+  */
+  const event = res.locals.event;
+  const target = resolveScope(event, { scope: 'this', occurrence: req.params.date });
+
+  const updated = await storeException(req, event, { originalStart: target.occurrence, cancelled: true });
+  await deleteAttendance(event._id, target.occurrence);
+  await recordOccurrenceChange(req, event, updated, target.occurrence);
+  setETag(res, updated);
+  return res.status(204).send();
 };
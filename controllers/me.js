@@ -0,0 +1,228 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { getSubscribedOwnerIds, buildVisibilityFilter } = require('../utils/visibility');
+const { expandOccurrences } = require('../utils/recurrence');
+const { formatOccurrence } = require('../utils/eventFormat');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+} = require('../utils/pagination');
+const { ValidationError } = require('../utils/errors');
+const { validate } = require('../utils/schema');
+const { loadOwnerOccurrences, buildFreeBusy } = require('../utils/conflicts');
+const { isValidTimeZone, parseDateTime, formatInstant } = require('../utils/timezones');
+const { getDisplayTimeZone } = require('../utils/preferences');
+const { NOTIFICATION_STATUSES } = require('../utils/reminders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HORIZON_DAYS = 30;
+const MAX_HORIZON_DAYS = 365;
+const MAX_AVAILABILITY_WINDOW_DAYS = 366;
+
+const FEED_QUERY = {
+  type: 'object',
+  title: 'Invalid feed query.',
+  properties: {
+    horizon: { type: 'number', min: 1, max: MAX_HORIZON_DAYS },
+    limit: { type: 'number', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string' },
+    tz: { type: 'timezone' },
+  },
+};
+
+const NOTIFICATIONS_QUERY = {
+  type: 'object',
+  title: 'Invalid notifications query.',
+  properties: {
+    status: { type: 'options', options: NOTIFICATION_STATUSES },
+    limit: { type: 'number', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string' },
+    tz: { type: 'timezone' },
+  },
+};
+
+const getEvents = () => mongodb.getDb().collection('events');
+const getNotifications = () => mongodb.getDb().collection('notifications');
+
+// Feed items are ordered by (start, eventId, originalStart); the same tuple
+// is what the cursor carries.
+const compareItems = (a, b) =>
+  a.start - b.start ||
+  a.eventId.localeCompare(b.eventId) ||
+  a.originalStart - b.originalStart;
+
+exports.getFeed = async (req, res) => {
+  /*
+    #swagger.description = 'Upcoming occurrences (recurrences expanded) of the current user own events and of the users they subscribe to, ordered by start time'
+    #swagger.parameters['horizon'] = { in: 'query', type: 'integer', description: 'How many days ahead to look (default 30, max 365)' }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 20, max 100)' }
+    #swagger.parameters['cursor'] = { in: 'query', type: 'string', description: 'nextCursor from the previous page' }
+    #swagger.parameters['tz'] = { in: 'query', type: 'string', description: 'IANA time zone to render times in (default: the user timeZone preference, then UTC)' }
+  */
+  const query = validate(FEED_QUERY, req.query);
+
+  let after = null;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    const [start, originalStart] = (cursor && Array.isArray(cursor.v)) ? cursor.v : [];
+    after = {
+      start: new Date(start),
+      eventId: cursor && cursor.id,
+      originalStart: new Date(originalStart),
+    };
+    if (Number.isNaN(after.start.getTime()) || Number.isNaN(after.originalStart.getTime())) {
+      throw new ValidationError('Invalid cursor.');
+    }
+  }
+
+  const horizon = query.horizon || DEFAULT_HORIZON_DAYS;
+  const limit = Math.trunc(query.limit || DEFAULT_PAGE_SIZE);
+  const from = new Date();
+  const to = new Date(from.getTime() + horizon * DAY_MS);
+  const viewerId = req.user.id;
+
+  const timeZone = await getDisplayTimeZone(req);
+  const subscribedOwnerIds = await getSubscribedOwnerIds(viewerId);
+  const visibilityFilter = await buildVisibilityFilter(viewerId, subscribedOwnerIds);
+  const events = await getEvents().find({
+    $and: [
+      visibilityFilter,
+      { ownerID: { $in: [viewerId, ...subscribedOwnerIds] } },
+      { datetime_start: { $lt: to } },
+      {
+        $or: [
+          { recurrence: null, datetime_end: { $gt: from } },
+          { recurrence: { $ne: null } },
+        ],
+      },
+    ],
+  }).toArray();
+
+  const items = events
+    .flatMap((event) => expandOccurrences(event, from, to).map((occurrence) => ({
+      event,
+      eventId: event._id.toString(),
+      start: occurrence.start,
+      originalStart: occurrence.originalStart,
+      occurrence,
+    })))
+    .filter((item) => !after || compareItems(item, after) > 0)
+    .sort(compareItems);
+
+  const page = items.slice(0, limit);
+  const hasMore = items.length > limit;
+  const last = page[page.length - 1];
+
+  return res.status(200).json({
+    data: page.map(({ event, occurrence }) => formatOccurrence(event, occurrence, timeZone)),
+    paging: {
+      limit,
+      horizon,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor([last.start.toISOString(), last.originalStart.toISOString()], last.eventId)
+        : null,
+    },
+  });
+};
+
+const toIsoBlock = (timeZone) => ({ start, end }) => ({
+  start: formatInstant(start, timeZone),
+  end: formatInstant(end, timeZone),
+});
+
+exports.getAvailability = async (req, res) => {
+  /*
+    #swagger.description = 'Busy and free blocks of the current user within [from, to), computed from their own events (recurrences expanded, cancelled occurrences skipped)'
+    #swagger.parameters['from'] = { in: 'query', required: true, type: 'string', format: 'date-time' }
+    #swagger.parameters['to'] = { in: 'query', required: true, type: 'string', format: 'date-time' }
+    #swagger.parameters['tz'] = { in: 'query', type: 'string', description: 'IANA time zone to render times in (default: the user timeZone preference, then UTC)' }
+  */
+  if (req.query.tz && !isValidTimeZone(req.query.tz)) {
+    throw new ValidationError('tz must be a valid IANA time zone name.');
+  }
+
+  const from = parseDateTime(req.query.from, req.query.tz);
+  const to = parseDateTime(req.query.to, req.query.tz);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new ValidationError('from and to must be valid dates.');
+  }
+  if (to <= from) {
+    throw new ValidationError('to must be after from.');
+  }
+  if (to - from > MAX_AVAILABILITY_WINDOW_DAYS * DAY_MS) {
+    throw new ValidationError(`The window may span at most ${MAX_AVAILABILITY_WINDOW_DAYS} days.`);
+  }
+
+  const timeZone = await getDisplayTimeZone(req);
+  const items = await loadOwnerOccurrences(req.user.id, from, to);
+  const { busy, free } = buildFreeBusy(items.map(({ occurrence }) => occurrence), from, to);
+
+  return res.status(200).json({
+    from: formatInstant(from, timeZone),
+    to: formatInstant(to, timeZone),
+    busy: busy.map(toIsoBlock(timeZone)),
+    free: free.map(toIsoBlock(timeZone)),
+  });
+};
+
+const formatNotification = (doc, timeZone) => ({
+  id: doc._id.toString(),
+  kind: doc.kind,
+  eventId: doc.eventId.toString(),
+  originalStart: formatInstant(doc.originalStart, timeZone),
+  start: formatInstant(doc.start, timeZone),
+  minutesBefore: doc.minutesBefore,
+  sendAt: formatInstant(doc.sendAt, timeZone),
+  status: doc.status,
+  attempts: doc.attempts,
+  sentAt: doc.sentAt ? formatInstant(doc.sentAt, timeZone) : null,
+  lastError: doc.lastError || null,
+});
+
+exports.getNotifications = async (req, res) => {
+  /*
+    #swagger.description = 'Reminders queued for or sent to the current user, newest first. Past ones are kept for 30 days.'
+    #swagger.parameters['status'] = { in: 'query', type: 'string', enum: ['pending', 'sent', 'failed', 'cancelled', 'expired'] }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 20, max 100)' }
+    #swagger.parameters['cursor'] = { in: 'query', type: 'string', description: 'nextCursor from the previous page' }
+    #swagger.parameters['tz'] = { in: 'query', type: 'string', description: 'IANA time zone to render times in (default: the user timeZone preference, then UTC)' }
+  */
+  const query = validate(NOTIFICATIONS_QUERY, req.query);
+  const limit = Math.trunc(query.limit || DEFAULT_PAGE_SIZE);
+  const filter = { userId: req.user.id };
+
+  if (query.status) {
+    filter.status = query.status;
+  }
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      throw new ValidationError('Invalid cursor.');
+    }
+    filter._id = { $lt: ObjectId.createFromHexString(cursor.id) };
+  }
+
+  const timeZone = await getDisplayTimeZone(req);
+  const notifications = await getNotifications()
+    .find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = notifications.length > limit;
+  const page = notifications.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return res.status(200).json({
+    data: page.map((doc) => formatNotification(doc, timeZone)),
+    paging: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(null, last._id.toString()) : null,
+    },
+  });
+};
@@ -0,0 +1,191 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { validate } = require('../utils/schema');
+const { rsvpInput } = require('../schemas/rsvps');
+const { getSubscribedOwnerIds, canViewEvent } = require('../utils/visibility');
+const { locateOccurrence } = require('../utils/recurrence');
+const { hasSeat, promoteWaitlisted } = require('../utils/attendance');
+
+const getEvents = () => mongodb.getDb().collection('events');
+const getRsvps = () => mongodb.getDb().collection('rsvps');
+const getUsers = () => mongodb.getDb().collection('users');
+
+const formatRsvp = (doc) => ({
+  eventId: doc.eventId.toString(),
+  userId: doc.userId,
+  occurrence: doc.occurrence ? doc.occurrence.toISOString() : null,
+  status: doc.status,
+  updatedAt: doc.updatedAt.toISOString(),
+});
+
+// Loads the event for an attendance request and resolves the occurrence the
+// request targets.
+const loadTarget = async (req, occurrenceValue) => {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid event id format.');
+  }
+
+  const event = await getEvents().findOne({ _id: ObjectId.createFromHexString(id) });
+  const subscribedOwnerIds = await getSubscribedOwnerIds(req.user.id);
+
+  if (!event || !canViewEvent(event, req.user.id, subscribedOwnerIds)) {
+    throw new NotFoundError('Event not found.');
+  }
+
+  if (!event.recurrence) {
+    if (occurrenceValue !== undefined && occurrenceValue !== null) {
+      throw new ValidationError('occurrence only applies to recurring events.');
+    }
+    return { event, occurrence: null };
+  }
+
+  const occurrence = new Date(occurrenceValue);
+  if (occurrenceValue === undefined || occurrenceValue === null || Number.isNaN(occurrence.getTime())) {
+    throw new ValidationError('occurrence (the original start of the occurrence) is required for recurring events.');
+  }
+
+  const cancelled = (event.exceptions || []).some(
+    (exception) => exception.cancelled && exception.originalStart.getTime() === occurrence.getTime(),
+  );
+  if (cancelled || locateOccurrence(event, occurrence) === -1) {
+    throw new NotFoundError('Occurrence not found.');
+  }
+
+  return { event, occurrence };
+};
+
+exports.respond = async (req, res) => {
+  /*
+    #swagger.description = 'RSVP to an event (or one occurrence of a recurring event). Going to a full event puts the user on the waitlist.'
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/RsvpInput' }
+        }
+      }
+    }
+  */
+  const payload = validate(rsvpInput, req.body);
+  const { event, occurrence } = await loadTarget(req, payload.occurrence);
+  const key = { eventId: event._id, userId: req.user.id, occurrence };
+  const existing = await getRsvps().findOne(key);
+  const now = new Date();
+  let status = payload.status;
+
+  if (status === 'going' && existing && (existing.status === 'going' || existing.status === 'waitlisted')) {
+    status = existing.status;
+  } else if (status === 'going' && event.capacity) {
+    const going = await getRsvps().countDocuments({ eventId: event._id, occurrence, status: 'going' });
+    if (going >= event.capacity) {
+      status = 'waitlisted';
+    }
+  }
+
+  const seating = status === 'going' && (!existing || existing.status !== 'going');
+  const update = { $set: { status, updatedAt: now }, $setOnInsert: { createdAt: now }, $unset: {} };
+  if (status === 'waitlisted' && (!existing || existing.status !== 'waitlisted')) {
+    update.$set.waitlistedAt = now;
+  } else if (status !== 'waitlisted') {
+    update.$unset.waitlistedAt = '';
+  }
+  if (seating) {
+    update.$set.seatedAt = now;
+  } else if (status !== 'going') {
+    update.$unset.seatedAt = '';
+  }
+  if (!Object.keys(update.$unset).length) {
+    delete update.$unset;
+  }
+
+  await getRsvps().updateOne(key, update, { upsert: true });
+
+  // The count above may have raced with other RSVPs for the last seats.
+  if (seating && event.capacity && !(await hasSeat(event, occurrence, req.user.id))) {
+    await getRsvps().updateOne(
+      { ...key, status: 'going' },
+      { $set: { status: 'waitlisted', waitlistedAt: now }, $unset: { seatedAt: '' } },
+    );
+    status = 'waitlisted';
+  }
+
+  if (existing && existing.status === 'going' && status !== 'going') {
+    await promoteWaitlisted(event, occurrence);
+  }
+
+  return res
+    .status(existing ? 200 : 201)
+    .json(formatRsvp({ ...key, status, updatedAt: now }));
+};
+
+exports.withdraw = async (req, res) => {
+  /*
+    #swagger.description = 'Remove the current user RSVP. Freed seats go to the waitlist in order.'
+    #swagger.parameters['occurrence'] = { in: 'query', type: 'string', format: 'date-time', description: 'Original start of the occurrence; required for recurring events' }
+  */
+  const { event, occurrence } = await loadTarget(req, req.query.occurrence);
+  const removed = await getRsvps().findOneAndDelete({
+    eventId: event._id,
+    userId: req.user.id,
+    occurrence,
+  });
+
+  if (!removed) {
+    throw new NotFoundError('RSVP not found.');
+  }
+  if (removed.status === 'going') {
+    await promoteWaitlisted(event, occurrence);
+  }
+
+  return res.status(204).send();
+};
+
+exports.getAttendees = async (req, res) => {
+  /*
+    #swagger.description = 'List the RSVPs of an event (or one occurrence of a recurring event), grouped by status. Only available to users who can see the event.'
+    #swagger.parameters['occurrence'] = { in: 'query', type: 'string', format: 'date-time', description: 'Original start of the occurrence; required for recurring events' }
+  */
+  const { event, occurrence } = await loadTarget(req, req.query.occurrence);
+  const rsvps = await getRsvps()
+    .find({ eventId: event._id, occurrence })
+    .sort({ status: 1, waitlistedAt: 1, createdAt: 1 })
+    .toArray();
+
+  const users = await getUsers()
+    .find({
+      _id: { $in: rsvps.map((rsvp) => ObjectId.createFromHexString(rsvp.userId)) },
+      deletedAt: null,
+    })
+    .project({ firstName: 1, lastName: 1, avatar: 1 })
+    .toArray();
+  const usersById = new Map(users.map((user) => [user._id.toHexString(), user]));
+
+  const attendees = { going: [], maybe: [], declined: [], waitlisted: [] };
+  for (const rsvp of rsvps) {
+    const user = usersById.get(rsvp.userId);
+    // Deleted accounts keep their RSVPs until they are purged, unlisted.
+    if (!user) {
+      continue;
+    }
+    attendees[rsvp.status].push({
+      userId: rsvp.userId,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      avatar: user.avatar,
+      updatedAt: rsvp.updatedAt.toISOString(),
+    });
+  }
+
+  return res.status(200).json({
+    eventId: event._id.toString(),
+    occurrence: occurrence ? occurrence.toISOString() : null,
+    capacity: event.capacity || null,
+    counts: Object.fromEntries(
+      Object.entries(attendees).map(([status, list]) => [status, list.length]),
+    ),
+    attendees,
+  });
+};
@@ -0,0 +1,92 @@
+const { onChange, changesSince, toPayload } = require('../utils/changes');
+const { getSubscribedOwnerIds, canViewEvent } = require('../utils/visibility');
+const { findActiveUser } = require('../utils/accounts');
+
+// Comment lines keep proxies from closing an idle stream; the account is
+// checked again at the same pace so suspended or deleted users are cut off.
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+const writeMessage = (res, { id, event, data }) => {
+  const lines = [];
+  if (id) {
+    lines.push(`id: ${id}`);
+  }
+  lines.push(`event: ${event}`, `data: ${JSON.stringify(data)}`);
+  res.write(`${lines.join('\n')}\n\n`);
+};
+
+exports.streamChanges = async (req, res) => {
+  /*
+    #swagger.description = 'Server-Sent Events stream of changes to the events the current user can see (event.created, event.updated, event.deleted, event.restored). Each message id can be sent back as the Last-Event-ID header (EventSource does this on reconnect) to receive what was missed; a reset message means the gap is too old and data should be reloaded.'
+    #swagger.parameters['Last-Event-ID'] = { in: 'header', type: 'string', description: 'Id of the last message received' }
+    #swagger.produces = ['text/event-stream']
+  */
+  const viewerId = req.user.id;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  let subscribedOwnerIds = await getSubscribedOwnerIds(viewerId);
+
+  const send = async (change) => {
+    if (res.writableEnded) {
+      return;
+    }
+    if (
+      change.type.startsWith('subscription.') &&
+      change.data.subscriberId === viewerId
+    ) {
+      // Followed owners changed, and with them which events are visible.
+      subscribedOwnerIds = await getSubscribedOwnerIds(viewerId);
+      return;
+    }
+    if (change.event && canViewEvent(change.event, viewerId, subscribedOwnerIds)) {
+      writeMessage(res, { id: change.id, event: change.type, data: toPayload(change) });
+    }
+  };
+
+  // Changes are handled one at a time and in order, missed and live ones
+  // alike, so the events after a subscription change are checked against
+  // the refreshed owners. A failure skips that change only.
+  let pending = Promise.resolve();
+  const enqueue = (change) => {
+    pending = pending
+      .then(() => send(change))
+      .catch((err) => console.error(`[${req.id}] Stream update failed:`, err));
+  };
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  // Catching up and subscribing happen in the same tick, so no change falls
+  // in between.
+  if (lastEventId) {
+    const missed = changesSince(lastEventId);
+    if (missed) {
+      missed.forEach(enqueue);
+    } else {
+      writeMessage(res, { event: 'reset', data: { reason: 'Changes since the last event id are no longer available.' } });
+    }
+  }
+  const unsubscribe = onChange(enqueue);
+
+  const heartbeat = setInterval(async () => {
+    res.write(': keep-alive\n\n');
+    try {
+      if (!(await findActiveUser(viewerId))) {
+        res.end();
+      }
+    } catch (err) {
+      console.error(`[${req.id}] Stream account check failed:`, err);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
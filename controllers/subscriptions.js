@@ -0,0 +1,266 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { BUMP_VERSION } = require('../utils/versioning');
+const { publishSubscriptionChange } = require('../utils/changes');
+
+const USERS_COLLECTION = 'users';
+const REQUESTS_COLLECTION = 'subscription_requests';
+const REQUEST_DIRECTIONS = ['incoming', 'outgoing'];
+
+const getCollection = () => mongodb.getDb().collection(USERS_COLLECTION);
+const getRequests = () => mongodb.getDb().collection(REQUESTS_COLLECTION);
+
+const formatRequest = (doc) => ({
+  id: doc._id.toHexString(),
+  requesterId: doc.requesterId.toHexString(),
+  targetId: doc.targetId.toHexString(),
+  status: doc.status,
+  createdAt: doc.createdAt.toISOString(),
+  respondedAt: doc.respondedAt ? doc.respondedAt.toISOString() : null,
+});
+
+const formatUserSummary = (doc) => ({
+  id: doc._id.toHexString(),
+  firstName: doc.firstName,
+  lastName: doc.lastName,
+  avatar: doc.avatar,
+});
+
+const SUMMARY_PROJECTION = { firstName: 1, lastName: 1, avatar: 1 };
+
+const parseTargetIds = (req) => {
+  const { id, targetId } = req.params;
+
+  if (!ObjectId.isValid(targetId)) {
+    throw new ValidationError('Invalid target user id format.');
+  }
+  if (id === targetId) {
+    throw new ValidationError('Users cannot subscribe to themselves.');
+  }
+
+  return {
+    userId: ObjectId.createFromHexString(id),
+    targetId: ObjectId.createFromHexString(targetId),
+  };
+};
+
+exports.subscribe = async (req, res) => {
+  /*
+    #swagger.description = 'Subscribe user :id to user :targetId. If the target requires approval a pending request is created instead (202).'
+  */
+  const ids = parseTargetIds(req);
+
+  const target = await getCollection().findOne(
+    { _id: ids.targetId, deletedAt: null },
+    { projection: { requiresApproval: 1 } },
+  );
+  if (!target) {
+    throw new NotFoundError('Target user not found.');
+  }
+
+  const user = await getCollection().findOne(
+    { _id: ids.userId, deletedAt: null },
+    { projection: { subscribetTo: 1 } },
+  );
+  if (!user) {
+    throw new NotFoundError('User not found.');
+  }
+  if ((user.subscribetTo || []).some((subscriptionId) => String(subscriptionId) === req.params.targetId)) {
+    throw new ConflictError('Already subscribed to this user.');
+  }
+
+  if (target.requiresApproval) {
+    const pending = await getRequests().findOne({
+      requesterId: ids.userId,
+      targetId: ids.targetId,
+      status: 'pending',
+    });
+    if (pending) {
+      throw new ConflictError('A subscription request is already pending.');
+    }
+
+    const request = {
+      requesterId: ids.userId,
+      targetId: ids.targetId,
+      status: 'pending',
+      createdAt: new Date(),
+    };
+    const result = await getRequests().insertOne(request);
+    return res.status(202).json(formatRequest({ ...request, _id: result.insertedId }));
+  }
+
+  // Filtering on "not already subscribed" keeps concurrent requests from
+  // adding the same id twice.
+  const result = await getCollection().updateOne(
+    { _id: ids.userId, subscribetTo: { $ne: ids.targetId } },
+    { $push: { subscribetTo: ids.targetId }, ...BUMP_VERSION },
+  );
+
+  if (!result.matchedCount) {
+    throw new ConflictError('Already subscribed to this user.');
+  }
+
+  await publishSubscriptionChange(req, 'created', ids.userId, ids.targetId);
+  return res.status(201).json({ id: req.params.targetId });
+};
+
+exports.unsubscribe = async (req, res) => {
+  /*
+    #swagger.description = 'Remove the subscription of user :id to user :targetId, or withdraw a pending request for it'
+  */
+  const ids = parseTargetIds(req);
+
+  const result = await getCollection().updateOne(
+    { _id: ids.userId, subscribetTo: ids.targetId },
+    { $pull: { subscribetTo: ids.targetId }, ...BUMP_VERSION },
+  );
+
+  if (!result.matchedCount) {
+    const withdrawn = await getRequests().deleteOne({
+      requesterId: ids.userId,
+      targetId: ids.targetId,
+      status: 'pending',
+    });
+    if (!withdrawn.deletedCount) {
+      throw new NotFoundError('Subscription not found.');
+    }
+  } else {
+    await publishSubscriptionChange(req, 'deleted', ids.userId, ids.targetId);
+  }
+
+  return res.status(204).send();
+};
+
+exports.getSubscriptions = async (req, res) => {
+  /*
+    #swagger.description = 'List the users that user :id is subscribed to'
+  */
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid user id format.');
+  }
+
+  const user = await getCollection().findOne(
+    { _id: ObjectId.createFromHexString(id), deletedAt: null },
+    { projection: { subscribetTo: 1 } },
+  );
+
+  if (!user) {
+    throw new NotFoundError('User not found.');
+  }
+
+  const subscriptions = await getCollection()
+    .find({ _id: { $in: user.subscribetTo || [] }, deletedAt: null })
+    .project(SUMMARY_PROJECTION)
+    .toArray();
+
+  return res.status(200).json(subscriptions.map(formatUserSummary));
+};
+
+exports.getSubscribers = async (req, res) => {
+  /*
+    #swagger.description = 'List the users subscribed to user :id'
+  */
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid user id format.');
+  }
+
+  const userId = ObjectId.createFromHexString(id);
+  const user = await getCollection().findOne({ _id: userId, deletedAt: null }, { projection: { _id: 1 } });
+
+  if (!user) {
+    throw new NotFoundError('User not found.');
+  }
+
+  const subscribers = await getCollection()
+    .find({ subscribetTo: userId, deletedAt: null })
+    .project(SUMMARY_PROJECTION)
+    .toArray();
+
+  return res.status(200).json(subscribers.map(formatUserSummary));
+};
+
+exports.getSubscriptionRequests = async (req, res) => {
+  /*
+    #swagger.description = 'List pending subscription requests sent to (incoming) or by (outgoing) user :id'
+    #swagger.parameters['direction'] = { in: 'query', type: 'string', enum: ['incoming', 'outgoing'], description: 'Default incoming' }
+  */
+  const { id } = req.params;
+  const direction = req.query.direction || 'incoming';
+
+  if (!REQUEST_DIRECTIONS.includes(direction)) {
+    throw new ValidationError(`direction must be one of: ${REQUEST_DIRECTIONS.join(', ')}.`);
+  }
+
+  const userId = ObjectId.createFromHexString(id);
+  const requests = await getRequests()
+    .find({
+      [direction === 'incoming' ? 'targetId' : 'requesterId']: userId,
+      status: 'pending',
+    })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  return res.status(200).json(requests.map(formatRequest));
+};
+
+const respondToRequest = (status) => async (req, res) => {
+  const { id, requestId } = req.params;
+
+  if (!ObjectId.isValid(requestId)) {
+    throw new ValidationError('Invalid request id format.');
+  }
+
+  const request = await getRequests().findOne({
+    _id: ObjectId.createFromHexString(requestId),
+    targetId: ObjectId.createFromHexString(id),
+  });
+
+  if (!request) {
+    throw new NotFoundError('Subscription request not found.');
+  }
+  if (request.status !== 'pending') {
+    throw new ConflictError(`Subscription request was already ${request.status}.`);
+  }
+
+  // Only the first answer counts: a concurrent accept or reject that got in
+  // first leaves nothing pending to update.
+  const respondedAt = new Date();
+  const updated = await getRequests().updateOne(
+    { _id: request._id, status: 'pending' },
+    { $set: { status, respondedAt } },
+  );
+  if (!updated.modifiedCount) {
+    throw new ConflictError('Subscription request was already answered.');
+  }
+
+  if (status === 'accepted') {
+    const result = await getCollection().updateOne(
+      { _id: request.requesterId, subscribetTo: { $ne: request.targetId } },
+      { $push: { subscribetTo: request.targetId }, ...BUMP_VERSION },
+    );
+    if (result.matchedCount) {
+      await publishSubscriptionChange(req, 'created', request.requesterId, request.targetId);
+    }
+  }
+
+  return res.status(200).json(formatRequest({ ...request, status, respondedAt }));
+};
+
+exports.acceptSubscriptionRequest = async (req, res) => {
+  /*
+    #swagger.description = 'Accept a pending subscription request sent to user :id'
+  */
+  return respondToRequest('accepted')(req, res);
+};
+
+exports.rejectSubscriptionRequest = async (req, res) => {
+  /*
+    #swagger.description = 'Reject a pending subscription request sent to user :id'
+  */
+  return respondToRequest('rejected')(req, res);
+};
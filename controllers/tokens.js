@@ -0,0 +1,86 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { validate } = require('../utils/schema');
+const { accessTokenInput } = require('../schemas/tokens');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { TOKEN_PREFIX } = require('../utils/accessTokens');
+
+const getTokens = () => mongodb.getDb().collection('access_tokens');
+
+const toIso = (date) => (date ? date.toISOString() : null);
+
+const formatToken = (doc) => ({
+  id: doc._id.toString(),
+  name: doc.name,
+  scopes: doc.scopes,
+  // Enough of the secret to tell tokens apart, never enough to use one.
+  hint: `${TOKEN_PREFIX}…${doc.lastFour}`,
+  createdAt: toIso(doc.createdAt),
+  expiresAt: toIso(doc.expiresAt),
+  lastUsedAt: toIso(doc.lastUsedAt),
+});
+
+exports.createAccessToken = async (req, res) => {
+  /*
+    #swagger.description = 'Create a personal access token for the current user. The token is only shown in this response; send it as Authorization: Bearer <token>.'
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/AccessTokenInput' }
+        }
+      }
+    }
+  */
+  const payload = validate(accessTokenInput, req.body);
+  const token = `${TOKEN_PREFIX}${generateToken()}`;
+  const doc = {
+    userId: req.user.id,
+    name: payload.name,
+    scopes: payload.scopes,
+    tokenHash: hashToken(token),
+    lastFour: token.slice(-4),
+    createdAt: new Date(),
+    expiresAt: payload.expiresAt || null,
+    lastUsedAt: null,
+  };
+
+  const result = await getTokens().insertOne(doc);
+
+  return res.status(201).json({ ...formatToken({ ...doc, _id: result.insertedId }), token });
+};
+
+exports.getAccessTokens = async (req, res) => {
+  /*
+    #swagger.description = 'List the personal access tokens of the current user (without their secrets)'
+  */
+  const tokens = await getTokens()
+    .find({ userId: req.user.id })
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  return res.status(200).json(tokens.map(formatToken));
+};
+
+exports.revokeAccessToken = async (req, res) => {
+  /*
+    #swagger.description = 'Revoke one of the current user personal access tokens'
+  */
+  const { tokenId } = req.params;
+
+  if (!ObjectId.isValid(tokenId)) {
+    throw new ValidationError('Invalid token id format.');
+  }
+
+  const result = await getTokens().deleteOne({
+    _id: ObjectId.createFromHexString(tokenId),
+    userId: req.user.id,
+  });
+
+  if (!result.deletedCount) {
+    throw new NotFoundError('Access token not found.');
+  }
+
+  return res.status(204).send();
+};
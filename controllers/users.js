@@ -1,34 +1,93 @@
 const { ObjectId } = require('mongodb');
 const mongodb = require('../db');
-const { validateUserPayload, ValidationError } = require('../utils/errors');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+} = require('../utils/errors');
+const { validate } = require('../utils/schema');
+const { userUpdate } = require('../schemas/users');
+const { formatUser } = require('../utils/userFormat');
+const { auditEvent, auditUser } = require('../utils/audit');
+const { publishEventChange } = require('../utils/changes');
+const { deleteOwnerEvents, releaseUserSeats } = require('../utils/deletion');
+const { normalizeEmail } = require('../utils/accounts');
+const { BUMP_VERSION, versionOf, setETag, ifMatchFilter } = require('../utils/versioning');
+const { isPlainObject, applyMergePatch, pick } = require('../utils/mergePatch');
 
 const USERS_COLLECTION = 'users';
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EDITABLE_FIELDS = Object.keys(userUpdate.properties);
+// Every account has these; a merge patch may change but not remove them.
+const REQUIRED_FIELDS = ['firstName', 'lastName', 'email'];
 
 const getCollection = () => mongodb.getDb().collection(USERS_COLLECTION);
 
-const toHexString = (value) => {
-  if (value === undefined || value === null) {
-    return value;
-  }
+// A write that matched nothing failed If-Match if the user still exists.
+const missedUserWrite = async (userId, ifMatch) => {
+  const exists = ifMatch.version &&
+    await getCollection().countDocuments({ _id: userId, deletedAt: null }, { limit: 1 });
 
-  return typeof value === 'string' ? value : value.toHexString();
+  return exists ? new PreconditionFailedError() : new NotFoundError('User not found.');
 };
 
-const formatUser = (doc) => ({
-  id: toHexString(doc._id),
-  firstName: doc.firstName,
-  lastName: doc.lastName,
-  avatar: doc.avatar,
-  email: doc.email,
-  subscribetTo: Array.isArray(doc.subscribetTo)
-    ? doc.subscribetTo.map((subscriptionId) => toHexString(subscriptionId))
-    : [],
-});
+// Stores an edit of the user's profile: `changes` are set and `removed`
+// fields unset.
+const saveUserChanges = async (req, res, id, changes, removed = []) => {
+  const userId = ObjectId.createFromHexString(id);
+  const collection = getCollection();
+  const ifMatch = ifMatchFilter(req);
+
+  if (changes.email) {
+    changes = { ...changes, email: normalizeEmail(changes.email) };
+    const existing = await collection.findOne({
+      email: changes.email,
+      _id: { $ne: userId },
+    });
+
+    if (existing) {
+      throw new ConflictError('A user with that email already exists.');
+    }
+
+    // A new address has not been proven to belong to the user, and Google
+    // sign-in only links to accounts whose address has been.
+    const current = await collection.findOne({ _id: userId, deletedAt: null }, { projection: { email: 1 } });
+    if (current && normalizeEmail(current.email) !== changes.email) {
+      removed = [...removed, 'emailVerifiedAt'];
+    }
+  }
+
+  const update = { $set: changes, ...BUMP_VERSION };
+  if (removed.length) {
+    update.$unset = Object.fromEntries(removed.map((field) => [field, '']));
+  }
+
+  let previous;
+  try {
+    previous = await collection.findOneAndUpdate(
+      { _id: userId, deletedAt: null, ...ifMatch },
+      update,
+    );
+  } catch (err) {
+    // Another account took the address in the meantime.
+    if (err.code === 11000) {
+      throw new ConflictError('A user with that email already exists.');
+    }
+    throw err;
+  }
+
+  if (!previous) {
+    throw await missedUserWrite(userId, ifMatch);
+  }
 
+  const updated = { ...previous, ...changes };
+  removed.forEach((field) => delete updated[field]);
+  await auditUser(req, 'update', previous, updated);
 
-const mapSubscriptionsToObjectIds = (subscriptionIds = []) =>
-  subscriptionIds.map((id) => ObjectId.createFromHexString(id));
+  setETag(res, { version: versionOf(previous) + 1 });
+  return res.status(204).send();
+};
 
 exports.getUser = async (req, res) => {
   /*
@@ -36,45 +95,31 @@ exports.getUser = async (req, res) => {
   */
   const { id } = req.params;
   if (!ObjectId.isValid(id)) {
-    return res.status(400).json({ message: 'Invalid user id format.' });
+    throw new ValidationError('Invalid user id format.');
   }
 
-  try {
-    const user = await getCollection().findOne({
-      _id: ObjectId.createFromHexString(id),
-    });
-
-    if (!user) {
-      return res.status(404).json({ message: 'User not found.' });
-    }
+  const user = await getCollection().findOne({
+    _id: ObjectId.createFromHexString(id),
+    deletedAt: null,
+  });
 
-    return res.status(200).json(formatUser(user));
-  } catch (error) {
-    console.error(`Failed to fetch user ${id}`, error);
-    return res.status(500).json({ message: 'Failed to fetch user.' });
+  if (!user) {
+    throw new NotFoundError('User not found.');
   }
+
+  setETag(res, user);
+  return res.status(200).json(formatUser(user));
 };
 
 exports.updateUser = async (req, res) => {
   /*
     #swagger.description = 'Update a user by id'
+    #swagger.parameters['If-Match'] = { in: 'header', type: 'string', description: 'ETag from a previous read; the update fails with 412 if the user changed since' }
     #swagger.requestBody = {
       required: true,
       content: {
         "application/json": {
-          schema: {
-            type: 'object',
-            properties: {
-              firstName: { type: 'string' },
-              lastName: { type: 'string' },
-              avatar: { type: 'string' },
-              email: { type: 'string', format: 'email' },
-              subscribetTo: {
-                type: 'array',
-                items: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
-              }
-            }
-          }
+          schema: { $ref: '#/components/schemas/UserUpdate' }
         }
       }
     }
@@ -82,46 +127,14 @@ exports.updateUser = async (req, res) => {
   const { id } = req.params;
 
   if (!ObjectId.isValid(id)) {
-    return res.status(400).json({ message: 'Invalid user id format.' });
-  }
-  if (id !== req.user.id) {
-    return res.status(401).json({ message: 'Unaothorized.' });
+    throw new ValidationError('Invalid user id format.');
   }
 
-  let payload;
-
-  try {
-    payload = validateUserPayload(req.body, [
-      {
-        name: "firstName",
-        type: "string",
-      },
-      {
-        name: "lastName",
-        type: "string",
-      },
-      {
-        name: "avatar",
-        type: "string",
-      },
-      {
-        name: "email",
-        type: "email",
-      },
-      {
-        name: "subscribetTo",
-        type: "ownerId",
-      },
-    ]);
-  } catch (error) {
-    if (error instanceof ValidationError) {
-      return res.status(400).json({ message: error.message, details: error.details });
-    }
-
-    console.error('Unexpected validation error while updating user', error);
-    return res.status(500).json({ message: 'Failed to validate user payload.' });
+  if (req.body && req.body.subscribetTo !== undefined) {
+    throw new ValidationError('subscribetTo is managed through /users/:id/subscriptions.');
   }
 
+  const payload = validate(userUpdate, req.body);
   const updateDocument = {};
 
   if (payload.firstName !== undefined) {
@@ -136,62 +149,105 @@ exports.updateUser = async (req, res) => {
   if (payload.email !== undefined) {
     updateDocument.email = payload.email;
   }
-  if (payload.subscribetTo !== undefined) {
-    updateDocument.subscribetTo = mapSubscriptionsToObjectIds(payload.subscribetTo);
+  if (payload.requiresApproval !== undefined) {
+    updateDocument.requiresApproval = payload.requiresApproval;
+  }
+  if (payload.timeZone !== undefined) {
+    updateDocument.timeZone = payload.timeZone;
+  }
+  if (payload.reminders !== undefined) {
+    updateDocument.reminders = payload.reminders;
+  }
+  if (payload.remindersEnabled !== undefined) {
+    updateDocument.remindersEnabled = payload.remindersEnabled;
   }
 
-  try {
-    const collection = getCollection();
-
-    if (updateDocument.email) {
-      const existing = await collection.findOne({
-        email: updateDocument.email,
-        _id: { $ne: ObjectId.createFromHexString(id) },
-      });
+  return saveUserChanges(req, res, id, updateDocument);
+};
 
-      if (existing) {
-        return res.status(409).json({ message: 'A user with that email already exists.' });
+exports.patchUser = async (req, res) => {
+  /*
+    #swagger.description = 'Partially update a user with a JSON Merge Patch (RFC 7396): only the fields sent change and null removes avatar, timeZone or requiresApproval. Honors If-Match like PUT.'
+    #swagger.parameters['If-Match'] = { in: 'header', type: 'string', description: 'ETag from a previous read; the update fails with 412 if the user changed since' }
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/merge-patch+json": {
+          schema: { $ref: '#/components/schemas/UserUpdate' }
+        }
       }
     }
+  */
+  const { id } = req.params;
 
-    const result = await collection.updateOne(
-      { _id: ObjectId.createFromHexString(id) },
-      { $set: updateDocument },
-    );
+  if (!isPlainObject(req.body)) {
+    throw new ValidationError('Request body must be a JSON merge patch object.');
+  }
+  if (req.body.subscribetTo !== undefined) {
+    throw new ValidationError('subscribetTo is managed through /users/:id/subscriptions.');
+  }
+  if (!Object.keys(req.body).length) {
+    throw new ValidationError('No update fields provided.');
+  }
 
-    if (!result.matchedCount) {
-      return res.status(404).json({ message: 'User not found.' });
-    }
+  const cleared = REQUIRED_FIELDS.filter((field) => req.body[field] === null);
+  if (cleared.length) {
+    throw new ValidationError('Invalid user payload.', cleared.map((field) => ({
+      field,
+      message: `${field} cannot be removed.`,
+    })));
+  }
 
-    return res.status(204).send();
-  } catch (error) {
-    console.error(`Error updating user ${id}`, error);
-    return res.status(500).json({ message: 'Failed to update user.' });
+  const user = await getCollection().findOne({ _id: ObjectId.createFromHexString(id), deletedAt: null });
+
+  if (!user) {
+    throw new NotFoundError('User not found.');
   }
+
+  const payload = validate(userUpdate, applyMergePatch(pick(user, EDITABLE_FIELDS), req.body));
+  const removed = EDITABLE_FIELDS.filter((field) => payload[field] === undefined && user[field] !== undefined);
+
+  return saveUserChanges(req, res, id, payload, removed);
 };
 
 exports.deleteUser = async (req, res) => {
   /*
-    #swagger.description = 'Delete user by id'
+    #swagger.description = 'Delete user by id, together with their events. Both stay restorable by an administrator for 30 days and are then purged for good, which also drops the user from every other user subscription list and withdraws their other RSVPs. RSVPs that hold or wait for a seat, pending subscription requests, access tokens and password reset tokens are dropped right away.'
+    #swagger.parameters['If-Match'] = { in: 'header', type: 'string', description: 'ETag from a previous read; the deletion fails with 412 if the user changed since' }
   */
   const { id } = req.params;
 
   if (!ObjectId.isValid(id)) {
-    return res.status(400).json({ message: 'Invalid user id format.' });
+    throw new ValidationError('Invalid user id format.');
   }
 
-  try {
-    const result = await getCollection().deleteOne({
-      _id: ObjectId.createFromHexString(id),
-    });
+  const userId = ObjectId.createFromHexString(id);
+  const deletion = { deletedAt: new Date(), deletedBy: req.user.id };
+  const ifMatch = ifMatchFilter(req);
+  const user = await getCollection().findOneAndUpdate(
+    { _id: userId, deletedAt: null, ...ifMatch },
+    { $set: deletion, ...BUMP_VERSION },
+  );
 
-    if (!result.deletedCount) {
-      return res.status(404).json({ message: 'User not found.' });
-    }
+  if (!user) {
+    throw await missedUserWrite(userId, ifMatch);
+  }
 
-    return res.status(204).send();
-  } catch (error) {
-    console.error(`Error deleting user ${id}`, error);
-    return res.status(500).json({ message: 'Failed to delete user.' });
+  const events = await deleteOwnerEvents(id, deletion.deletedAt, deletion.deletedBy);
+  await releaseUserSeats(id);
+  await mongodb.getDb().collection('subscription_requests').deleteMany({
+    $or: [{ requesterId: userId }, { targetId: userId }],
+  });
+  await mongodb.getDb().collection('access_tokens').deleteMany({ userId: id });
+  await mongodb.getDb().collection('password_resets').deleteMany({ userId });
+
+  await auditUser(req, 'delete', user, { ...user, ...deletion });
+  for (const event of events) {
+    await auditEvent(req, 'delete', event, { ...event, ...deletion, deletedWithOwner: true }, {
+      deletedWithOwner: id,
+    });
+    await publishEventChange(req, 'deleted', event, { deletedWithOwner: id });
   }
+
+  return res.status(204).send();
 };
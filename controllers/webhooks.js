@@ -0,0 +1,287 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { validate } = require('../utils/schema');
+const { webhookInput, webhookUpdate } = require('../schemas/webhooks');
+const { generateToken } = require('../utils/tokens');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+} = require('../utils/pagination');
+const {
+  SECRET_PREFIX,
+  MAX_WEBHOOKS,
+  DELIVERY_STATUSES,
+  replayDelivery,
+} = require('../utils/webhooks');
+
+const DELIVERY_QUERY = {
+  type: 'object',
+  title: 'Invalid delivery query.',
+  properties: {
+    status: { type: 'options', options: DELIVERY_STATUSES },
+    limit: { type: 'number', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string' },
+  },
+};
+
+const getWebhooks = () => mongodb.getDb().collection('webhooks');
+const getDeliveries = () => mongodb.getDb().collection('webhook_deliveries');
+
+const toIso = (date) => (date ? date.toISOString() : null);
+
+const formatWebhook = (doc) => ({
+  id: doc._id.toString(),
+  url: doc.url,
+  events: doc.events,
+  description: doc.description || null,
+  active: doc.active,
+  createdAt: toIso(doc.createdAt),
+  updatedAt: toIso(doc.updatedAt),
+});
+
+const formatAttempt = (attempt) => attempt && {
+  at: toIso(attempt.at),
+  responseStatus: attempt.responseStatus || null,
+  error: attempt.error || null,
+  durationMs: attempt.durationMs,
+};
+
+const formatDelivery = (doc) => ({
+  id: doc._id.toString(),
+  webhookId: doc.webhookId.toString(),
+  payloadId: doc.payloadId,
+  type: doc.type,
+  status: doc.status,
+  attempts: doc.attempts,
+  nextAttemptAt: doc.status === 'pending' ? toIso(doc.nextAttemptAt) : null,
+  replayOf: doc.replayOf ? doc.replayOf.toString() : null,
+  createdAt: toIso(doc.createdAt),
+  deliveredAt: toIso(doc.deliveredAt),
+  lastAttempt: formatAttempt(doc.lastAttempt) || null,
+});
+
+const cancelQueuedDeliveries = (webhook) => getDeliveries().updateMany(
+  { webhookId: webhook._id, status: 'pending' },
+  { $set: { status: 'cancelled' } },
+);
+
+const findOwnWebhook = async (req) => {
+  const { webhookId } = req.params;
+
+  if (!ObjectId.isValid(webhookId)) {
+    throw new ValidationError('Invalid webhook id format.');
+  }
+
+  const webhook = await getWebhooks().findOne({
+    _id: ObjectId.createFromHexString(webhookId),
+    ownerId: req.user.id,
+  });
+
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found.');
+  }
+
+  return webhook;
+};
+
+const findDelivery = async (req, webhook) => {
+  const { deliveryId } = req.params;
+
+  if (!ObjectId.isValid(deliveryId)) {
+    throw new ValidationError('Invalid delivery id format.');
+  }
+
+  const delivery = await getDeliveries().findOne({
+    _id: ObjectId.createFromHexString(deliveryId),
+    webhookId: webhook._id,
+  });
+
+  if (!delivery) {
+    throw new NotFoundError('Delivery not found.');
+  }
+
+  return delivery;
+};
+
+exports.createWebhook = async (req, res) => {
+  /*
+    #swagger.description = 'Register a webhook for the current user. Changes of the chosen types to their events and subscriptions are POSTed to the url, signed with the secret, which is only shown in this response.'
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/WebhookInput' }
+        }
+      }
+    }
+  */
+  const payload = validate(webhookInput, req.body);
+
+  const count = await getWebhooks().countDocuments({ ownerId: req.user.id });
+  if (count >= MAX_WEBHOOKS) {
+    throw new ConflictError(`A user can have at most ${MAX_WEBHOOKS} webhooks.`);
+  }
+
+  const secret = `${SECRET_PREFIX}${generateToken()}`;
+  const now = new Date();
+  const doc = {
+    ownerId: req.user.id,
+    url: payload.url,
+    events: payload.events,
+    description: payload.description,
+    active: payload.active,
+    // Kept in plain text: signing needs the secret itself, not a hash.
+    secret,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const result = await getWebhooks().insertOne(doc);
+
+  return res.status(201).json({ ...formatWebhook({ ...doc, _id: result.insertedId }), secret });
+};
+
+exports.getWebhooks = async (req, res) => {
+  /*
+    #swagger.description = 'List the webhooks of the current user (without their secrets)'
+  */
+  const webhooks = await getWebhooks()
+    .find({ ownerId: req.user.id })
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  return res.status(200).json(webhooks.map(formatWebhook));
+};
+
+exports.getWebhook = async (req, res) => {
+  /*
+    #swagger.description = 'Get one of the current user webhooks'
+  */
+  const webhook = await findOwnWebhook(req);
+  return res.status(200).json(formatWebhook(webhook));
+};
+
+exports.updateWebhook = async (req, res) => {
+  /*
+    #swagger.description = 'Change the url, change types, description or active flag of a webhook. Deactivating it cancels its queued deliveries.'
+    #swagger.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: '#/components/schemas/WebhookUpdate' }
+        }
+      }
+    }
+  */
+  const webhook = await findOwnWebhook(req);
+  const payload = validate(webhookUpdate, req.body);
+
+  if (!Object.keys(payload).length) {
+    throw new ValidationError('No update fields provided.');
+  }
+
+  const updated = await getWebhooks().findOneAndUpdate(
+    { _id: webhook._id, ownerId: req.user.id },
+    { $set: { ...payload, updatedAt: new Date() } },
+    { returnDocument: 'after' },
+  );
+
+  if (!updated) {
+    throw new NotFoundError('Webhook not found.');
+  }
+  if (!updated.active) {
+    await cancelQueuedDeliveries(updated);
+  }
+
+  return res.status(200).json(formatWebhook(updated));
+};
+
+exports.deleteWebhook = async (req, res) => {
+  /*
+    #swagger.description = 'Delete a webhook along with its delivery log'
+  */
+  const webhook = await findOwnWebhook(req);
+
+  await getWebhooks().deleteOne({ _id: webhook._id });
+  await getDeliveries().deleteMany({ webhookId: webhook._id });
+
+  return res.status(204).send();
+};
+
+exports.getDeliveries = async (req, res) => {
+  /*
+    #swagger.description = 'Delivery log of a webhook, newest first. Deliveries are kept for 30 days.'
+    #swagger.parameters['status'] = { in: 'query', type: 'string', enum: ['pending', 'delivered', 'failed', 'cancelled'] }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 20, max 100)' }
+    #swagger.parameters['cursor'] = { in: 'query', type: 'string', description: 'nextCursor from the previous page' }
+  */
+  const webhook = await findOwnWebhook(req);
+  const query = validate(DELIVERY_QUERY, req.query);
+  const limit = Math.trunc(query.limit || DEFAULT_PAGE_SIZE);
+  const filter = { webhookId: webhook._id };
+
+  if (query.status) {
+    filter.status = query.status;
+  }
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      throw new ValidationError('Invalid cursor.');
+    }
+    filter._id = { $lt: ObjectId.createFromHexString(cursor.id) };
+  }
+
+  const deliveries = await getDeliveries()
+    .find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = deliveries.length > limit;
+  const page = deliveries.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return res.status(200).json({
+    data: page.map(formatDelivery),
+    paging: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(null, last._id.toString()) : null,
+    },
+  });
+};
+
+exports.getDelivery = async (req, res) => {
+  /*
+    #swagger.description = 'One delivery with the payload that was sent and the last response received'
+  */
+  const webhook = await findOwnWebhook(req);
+  const delivery = await findDelivery(req, webhook);
+
+  return res.status(200).json({
+    ...formatDelivery(delivery),
+    payload: JSON.parse(delivery.body),
+    lastAttempt: delivery.lastAttempt
+      ? { ...formatAttempt(delivery.lastAttempt), responseBody: delivery.lastAttempt.responseBody || null }
+      : null,
+  });
+};
+
+exports.replayDelivery = async (req, res) => {
+  /*
+    #swagger.description = 'Send the payload of a delivery again, as a new delivery with the same payload id'
+  */
+  const webhook = await findOwnWebhook(req);
+  const delivery = await findDelivery(req, webhook);
+
+  if (!webhook.active) {
+    throw new ConflictError('The webhook is inactive; activate it before replaying deliveries.');
+  }
+
+  const replay = await replayDelivery(webhook, delivery);
+
+  return res.status(202).json(formatDelivery(replay));
+};
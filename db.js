@@ -3,15 +3,96 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 const uri = process.env.MONGODB_URI;
+const DB_NAME = 'personal_assignment_05';
 
 let _db;
 
+const ensureIndexes = db => Promise.all([
+  db.collection('events').createIndexes([
+    { key: { datetime_start: 1, _id: 1 } },
+    { key: { datetime_end: 1, _id: 1 } },
+    { key: { ownerID: 1, datetime_start: 1 } },
+    { key: { seriesEnd: 1 } },
+    { key: { visibility: 1 } },
+    { key: { description: 'text' } },
+    {
+      key: { ownerID: 1, icalUID: 1 },
+      unique: true,
+      partialFilterExpression: { icalUID: { $exists: true } },
+    },
+    // Only deleted events carry deletedAt; the purge job scans them by date.
+    { key: { deletedAt: 1 }, sparse: true },
+    // Events without coordinates are left out of the index.
+    { key: { 'location.point': '2dsphere' } },
+  ]),
+  db.collection('users').createIndexes([
+    { key: { subscribetTo: 1 } },
+    { key: { email: 1 }, unique: true },
+    { key: { googleId: 1 }, unique: true, partialFilterExpression: { googleId: { $exists: true } } },
+    { key: { deletedAt: 1 }, sparse: true },
+  ]),
+  db.collection('audit_log').createIndexes([
+    { key: { targetId: 1, _id: -1 } },
+    { key: { actorId: 1, _id: -1 } },
+    { key: { ownerId: 1, _id: -1 } },
+    { key: { at: 1 } },
+  ]),
+  db.collection('admin_actions').createIndexes([
+    { key: { adminId: 1, _id: -1 } },
+    { key: { targetId: 1, _id: -1 } },
+  ]),
+  db.collection('access_tokens').createIndexes([
+    { key: { tokenHash: 1 }, unique: true },
+    { key: { userId: 1, createdAt: -1 } },
+    // Tokens without an expiry (expiresAt: null) are kept until revoked.
+    { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+  ]),
+  db.collection('password_resets').createIndexes([
+    { key: { tokenHash: 1 }, unique: true },
+    { key: { userId: 1, usedAt: 1 } },
+    // Expired and used tokens are only kept until they lapse.
+    { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+  ]),
+  db.collection('rsvps').createIndexes([
+    { key: { eventId: 1, userId: 1, occurrence: 1 }, unique: true },
+    { key: { eventId: 1, occurrence: 1, status: 1, waitlistedAt: 1 } },
+  ]),
+  db.collection('notifications').createIndexes([
+    // Only queued and sent reminders hold a key; cancelled ones give it up.
+    { key: { key: 1 }, unique: true, partialFilterExpression: { key: { $exists: true } } },
+    { key: { status: 1, nextAttemptAt: 1 } },
+    { key: { eventId: 1, status: 1 } },
+    { key: { userId: 1, _id: -1 } },
+    // Past reminders are kept for a while as a delivery history.
+    { key: { sendAt: 1 }, expireAfterSeconds: 30 * 24 * 60 * 60 },
+  ]),
+  db.collection('webhooks').createIndexes([
+    { key: { ownerId: 1, createdAt: -1 } },
+  ]),
+  db.collection('webhook_deliveries').createIndexes([
+    { key: { status: 1, nextAttemptAt: 1 } },
+    { key: { webhookId: 1, _id: -1 } },
+    // The delivery log is kept for a month.
+    { key: { createdAt: 1 }, expireAfterSeconds: 30 * 24 * 60 * 60 },
+  ]),
+  db.collection('subscription_requests').createIndexes([
+    { key: { targetId: 1, status: 1, createdAt: 1 } },
+    { key: { requesterId: 1, status: 1, createdAt: 1 } },
+    {
+      key: { requesterId: 1, targetId: 1 },
+      unique: true,
+      partialFilterExpression: { status: 'pending' },
+    },
+  ]),
+]);
+
 const initDb = callback => {
   if (_db) {
     console.log('Db is already initialized!');
     return callback(null, _db);
   }
   MongoClient.connect(uri)
+    .then(client => ensureIndexes(client.db(DB_NAME)).then(() => client))
     .then(client => {
       _db = client;
       callback(null, _db);
@@ -25,7 +106,7 @@ const getDb = () => {
   if (!_db) {
     throw Error('Db not initialized');
   }
-  return _db.db("personal_assignment_05");
+  return _db.db(DB_NAME);
 };
 
 module.exports = {
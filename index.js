@@ -4,6 +4,23 @@ const mongodb = require('./db');
 const session = require('express-session');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const LocalStrategy = require('passport-local').Strategy;
+const {
+  findOrCreateGoogleUser,
+  findUserByCredentials,
+  findActiveUser,
+  isSuspended,
+  toSessionUser,
+} = require('./utils/accounts');
+const { isDeleted, startPurgeJob } = require('./utils/deletion');
+const { startReminderScheduler } = require('./utils/reminders');
+const { startWebhookDispatcher } = require('./utils/webhooks');
+const { getTransport } = require('./utils/mailer');
+const { assignRequestId, handleNotFound, handleErrors } = require('./utils/errorHandler');
+const { authenticateBearer, bearerChallenge } = require('./utils/accessTokens');
+const { UnauthorizedError } = require('./utils/errors');
+
+getTransport();
 
 const port = process.env.PORT || 3000;
 const app = express();
@@ -13,10 +30,17 @@ const swaggerDocs = require('./swagger-output.json');
 
 
 passport.serializeUser((user, done) => {
-  done(null, { id: user.id, firstName: user.givenName, lastName: user.familyName, emails: user.emails });
+  done(null, { id: user.id, firstName: user.givenName, lastName: user.familyName, emails: user.emails, role: user.role });
 });
-passport.deserializeUser((obj, done) => {
-  done(null, obj);
+// Every request re-reads the account: suspended or deleted users lose their
+// session, and role changes apply without signing in again.
+passport.deserializeUser(async (obj, done) => {
+  try {
+    const user = await findActiveUser(obj.id);
+    return done(null, user ? { ...obj, ...toSessionUser(user) } : false);
+  } catch (err) {
+    return done(err);
+  }
 });
 
 passport.use(new GoogleStrategy(
@@ -26,36 +50,42 @@ passport.use(new GoogleStrategy(
     callbackURL: process.env.GOOGLE_CALLBACK_URL
   },
   async (accessToken, refreshToken, profile, done) => {
-    const Users = mongodb.getDb().collection('users');
-    let user = await Users.findOne({ googleId: profile.id });
-    let id = ""
-    if (!user) {
-      result = await Users.insertOne({
-        googleId: profile.id,
-        email: profile.emails[0].value,
+    try {
+      const user = await findOrCreateGoogleUser(profile);
+      if (isDeleted(user)) {
+        return done(null, false, { message: 'This account has been deleted.' });
+      }
+      if (isSuspended(user)) {
+        return done(null, false, { message: 'This account is suspended.' });
+      }
+      return done(null, {
+        ...toSessionUser(user),
         firstName: profile.name.givenName,
         lastName: profile.name.familyName,
-        avatar: profile.photos[0].value,
-        createdAt: new Date(),
-        subscribetTo: []
       });
-      id = result.insertedId.toString()
-    } else {
-      id = user._id.toString()
+    } catch (err) {
+      return done(err);
     }
+  }
+));
 
-    const userRecord = {
-      id: id,
-      firstName: profile.name.givenName,
-      lastName: profile.name.familyName,
-      avatar: profile.photos[0].value,
-    };
-
-    return done(null, userRecord);
+passport.use(new LocalStrategy(
+  { usernameField: 'email', passwordField: 'password' },
+  async (email, password, done) => {
+    try {
+      const user = await findUserByCredentials(email, password);
+      if (isSuspended(user)) {
+        return done(null, false, { suspended: true });
+      }
+      return done(null, user ? toSessionUser(user) : false);
+    } catch (err) {
+      return done(err);
+    }
   }
 ));
 
 app.set('trust proxy', 1);
+app.use(assignRequestId);
 app.use(session({
   name: 'sid',
   secret: process.env.SESSION_SECRET,
@@ -70,16 +100,23 @@ app.use(session({
 }));
 app.use(passport.initialize());
 app.use(passport.session());
+app.use(authenticateBearer);
 
+// Browsers navigating to a page are sent to the login page; API clients get a 401.
 const ensureLoggedIn = (req, res, next) => {
   if (req.isAuthenticated?.()) return next();
-  res.redirect('/login');
+  if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+    return res.redirect('/login');
+  }
+  bearerChallenge(res);
+  next(new UnauthorizedError());
 };
 
 app.get('/login', (req, res) => {
   res.type('html').send(`
     <h1>Login</h1>
     <a href="/auth/google">Sign in with Google</a>
+    <p>Email/password accounts sign in through <code>POST /auth/login</code>.</p>
   `);
 });
 
@@ -100,17 +137,24 @@ app.get('/logout', (req, res, next) => {
 });
 
 app
-  .use(cors())
-  .use(express.json())
+  .use(cors({ exposedHeaders: ['ETag', 'X-Request-Id'] }))
+  .use(express.json({ type: ['application/json', 'application/merge-patch+json'] }))
   .use(express.static('public'))
   .use('/api-docs', ensureLoggedIn, swagger.serve, swagger.setup(swaggerDocs))
-  .use('/', ensureLoggedIn, require('./routes'));
+  .use('/', require('./routes/feeds'))
+  .use('/', require('./routes/auth'))
+  .use('/', ensureLoggedIn, require('./routes'))
+  .use(handleNotFound)
+  .use(handleErrors);
 
 mongodb.initDb((err, mongodb) => {
   if (err) {
     console.log(err);
   } else {
     app.listen(port);
+    startPurgeJob();
+    startReminderScheduler();
+    startWebhookDispatcher();
     console.log(`Connected to DB and listening on ${port}`);
   }
 });
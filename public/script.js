@@ -41,4 +41,67 @@ const loadUsersAndEvents = async () => {
   }
 };
 
+const loadFeed = async () => {
+  try {
+    const feed = await fetchJson('/me/feed');
+    displayData('feedData', feed.data);
+  } catch (error) {
+    displayError('feedData', error);
+  }
+};
+
+const EVENT_CHANGE_TYPES = ['event.created', 'event.updated', 'event.deleted', 'event.restored'];
+const MAX_RECENT_CHANGES = 20;
+const RELOAD_DELAY_MS = 500;
+
+const recentChanges = [];
+let reloadTimer = null;
+
+// Several changes in a row (an import, a series split) cause one reload.
+const scheduleReload = () => {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => {
+    loadFeed();
+    loadUsersAndEvents();
+  }, RELOAD_DELAY_MS);
+};
+
+// EventSource sends the session cookie and, after a dropped connection,
+// reconnects with the last received id so missed changes are replayed.
+const watchChanges = () => {
+  if (!window.EventSource) {
+    return;
+  }
+
+  const source = new EventSource(`${apiBaseUrl}/events/stream`);
+
+  EVENT_CHANGE_TYPES.forEach((type) => {
+    source.addEventListener(type, (message) => {
+      const change = JSON.parse(message.data);
+      recentChanges.unshift({
+        type: change.type,
+        at: change.createdAt,
+        event: change.data.event.id,
+        description: change.data.event.description,
+      });
+      recentChanges.length = Math.min(recentChanges.length, MAX_RECENT_CHANGES);
+      displayData('liveData', recentChanges);
+      scheduleReload();
+    });
+  });
+  source.addEventListener('reset', scheduleReload);
+  source.addEventListener('open', () => {
+    if (!recentChanges.length) {
+      displayData('liveData', 'Connected, waiting for changes…');
+    }
+  });
+  source.addEventListener('error', () => {
+    if (source.readyState === EventSource.CLOSED) {
+      displayError('liveData', new Error('stream closed'));
+    }
+  });
+};
+
+window.addEventListener('DOMContentLoaded', loadFeed);
 window.addEventListener('DOMContentLoaded', loadUsersAndEvents);
+window.addEventListener('DOMContentLoaded', watchChanges);
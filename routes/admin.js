@@ -0,0 +1,31 @@
+const { Router } = require('express');
+const {
+  getUsers,
+  suspendUser,
+  restoreUser,
+  setUserRole,
+  undeleteUser,
+  getEvent,
+  deleteEvent,
+  getActions,
+} = require('../controllers/admin');
+const { getAuditLog } = require('../controllers/audit');
+const { requireAdmin, requireSession } = require('../utils/authorization');
+
+// Moderation endpoints. Only reachable from an administrator's session; access
+// tokens carry no admin scope.
+const router = Router();
+
+router.use(requireSession, requireAdmin);
+
+router.get('/users', getUsers);
+router.post('/users/:id/suspend', suspendUser);
+router.post('/users/:id/restore', restoreUser);
+router.put('/users/:id/role', setUserRole);
+router.post('/users/:id/undelete', undeleteUser);
+router.get('/events/:id', getEvent);
+router.delete('/events/:id', deleteEvent);
+router.get('/actions', getActions);
+router.get('/audit', getAuditLog);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const { Router } = require('express');
+const {
+  register,
+  login,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+} = require('../controllers/auth');
+const { requireAuthentication, requireSession } = require('../utils/authorization');
+
+// Email/password accounts. Mounted ahead of the session check so signed-out
+// clients can reach everything except the password change.
+const router = Router();
+
+router.post('/auth/register', register);
+router.post('/auth/login', login);
+router.put('/auth/password', requireAuthentication, requireSession, changePassword);
+router.post('/auth/password-reset', requestPasswordReset);
+router.post('/auth/password-reset/confirm', resetPassword);
+
+module.exports = router;
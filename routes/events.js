@@ -1,18 +1,48 @@
-const { Router } = require('express');
+const { Router, text } = require('express');
 const {
   getEvents,
+  getOccurrences,
   getEvent,
+  exportEvent,
   createEvent,
+  importEvents,
   updateEvent,
+  patchEvent,
   deleteEvent,
+  restoreEvent,
+  updateOccurrence,
+  cancelOccurrence,
 } = require('../controllers/events');
+const { respond, withdraw, getAttendees } = require('../controllers/rsvps');
+const { getEventHistory } = require('../controllers/audit');
+const { streamChanges } = require('../controllers/stream');
+const { authorizeEventOwner } = require('../utils/authorization');
 
 const router = Router();
 
 router.get('/', getEvents);
+router.get('/occurrences', getOccurrences);
+router.get('/stream', streamChanges);
+router.get('/:id.ics', (req, res) => {
+  // #swagger.path = '/events/{id}.ics'
+  return exportEvent(req, res);
+});
 router.get('/:id', getEvent);
 router.post('/', createEvent);
-router.put('/:id', updateEvent);
-router.delete('/:id', deleteEvent);
+router.post(
+  '/import',
+  text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+  importEvents,
+);
+router.put('/:id', authorizeEventOwner, updateEvent);
+router.patch('/:id', authorizeEventOwner, patchEvent);
+router.delete('/:id', authorizeEventOwner, deleteEvent);
+router.post('/:id/restore', restoreEvent);
+router.put('/:id/occurrences/:date', authorizeEventOwner, updateOccurrence);
+router.delete('/:id/occurrences/:date', authorizeEventOwner, cancelOccurrence);
+router.post('/:id/rsvp', respond);
+router.delete('/:id/rsvp', withdraw);
+router.get('/:id/attendees', getAttendees);
+router.get('/:id/history', getEventHistory);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const { Router } = require('express');
+const { getCalendarFeed } = require('../controllers/calendars');
+
+// Routes authenticated by their own secret token rather than the session,
+// for clients (calendar apps) that cannot complete the Google login.
+const router = Router();
+
+router.get('/users/:id/calendar.ics', getCalendarFeed);
+
+module.exports = router;
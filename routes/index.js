@@ -1,9 +1,12 @@
 const express = require('express');
+const { requireScope } = require('../utils/authorization');
 
 const router = express.Router();
 
 router.use('/', require('./swagger'));
-router.use('/users', require('./users'));
-router.use('/events', require('./events'));
+router.use('/users', requireScope('users'), require('./users'));
+router.use('/events', requireScope('events'), require('./events'));
+router.use('/me', require('./me'));
+router.use('/admin', require('./admin'));
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const { Router } = require('express');
+const { getFeed, getAvailability, getNotifications } = require('../controllers/me');
+const {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken,
+} = require('../controllers/tokens');
+const {
+  createWebhook,
+  getWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  getDelivery,
+  replayDelivery,
+} = require('../controllers/webhooks');
+const { requireScope, requireSession } = require('../utils/authorization');
+
+const router = Router();
+
+router.get('/feed', requireScope('events'), getFeed);
+router.get('/availability', requireScope('events'), getAvailability);
+router.get('/notifications', requireScope('events'), getNotifications);
+router.get('/tokens', requireSession, getAccessTokens);
+router.post('/tokens', requireSession, createAccessToken);
+router.delete('/tokens/:tokenId', requireSession, revokeAccessToken);
+router.get('/webhooks', requireScope('events'), getWebhooks);
+router.post('/webhooks', requireScope('events'), createWebhook);
+router.get('/webhooks/:webhookId', requireScope('events'), getWebhook);
+router.put('/webhooks/:webhookId', requireScope('events'), updateWebhook);
+router.delete('/webhooks/:webhookId', requireScope('events'), deleteWebhook);
+router.get('/webhooks/:webhookId/deliveries', requireScope('events'), getDeliveries);
+router.get('/webhooks/:webhookId/deliveries/:deliveryId', requireScope('events'), getDelivery);
+router.post('/webhooks/:webhookId/deliveries/:deliveryId/replay', requireScope('events'), replayDelivery);
+
+module.exports = router;
@@ -2,13 +2,38 @@ const { Router } = require('express');
 const {
   getUser,
   updateUser,
+  patchUser,
   deleteUser,
 } = require('../controllers/users');
+const {
+  createCalendarToken,
+  revokeCalendarToken,
+} = require('../controllers/calendars');
+const {
+  subscribe,
+  unsubscribe,
+  getSubscriptions,
+  getSubscribers,
+  getSubscriptionRequests,
+  acceptSubscriptionRequest,
+  rejectSubscriptionRequest,
+} = require('../controllers/subscriptions');
+const { authorizeUserSelf } = require('../utils/authorization');
 
 const router = Router();
 
 router.get('/:id', getUser);
-router.put('/:id', updateUser);
-router.delete('/:id', deleteUser);
+router.put('/:id', authorizeUserSelf, updateUser);
+router.patch('/:id', authorizeUserSelf, patchUser);
+router.delete('/:id', authorizeUserSelf, deleteUser);
+router.get('/:id/subscriptions', getSubscriptions);
+router.get('/:id/subscribers', getSubscribers);
+router.post('/:id/subscriptions/:targetId', authorizeUserSelf, subscribe);
+router.delete('/:id/subscriptions/:targetId', authorizeUserSelf, unsubscribe);
+router.get('/:id/subscription-requests', authorizeUserSelf, getSubscriptionRequests);
+router.post('/:id/subscription-requests/:requestId/accept', authorizeUserSelf, acceptSubscriptionRequest);
+router.post('/:id/subscription-requests/:requestId/reject', authorizeUserSelf, rejectSubscriptionRequest);
+router.post('/:id/calendar-token', authorizeUserSelf, createCalendarToken);
+router.delete('/:id/calendar-token', authorizeUserSelf, revokeCalendarToken);
 
 module.exports = router;
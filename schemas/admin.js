@@ -0,0 +1,24 @@
+const { ROLES } = require('../utils/authorization');
+
+const moderationNote = {
+  type: 'object',
+  title: 'Invalid moderation note.',
+  strict: true,
+  properties: {
+    reason: { type: 'string', maxLength: 500, description: 'Why the action was taken; kept in the admin log' },
+  },
+};
+
+const roleChange = {
+  type: 'object',
+  title: 'Invalid role change payload.',
+  strict: true,
+  properties: {
+    role: { type: 'options', options: Object.values(ROLES), required: true },
+  },
+};
+
+module.exports = {
+  moderationNote,
+  roleChange,
+};
@@ -0,0 +1,75 @@
+const MIN_PASSWORD_LENGTH = 8;
+// scrypt hashes any length, but unbounded input is a cheap way to burn CPU.
+const MAX_PASSWORD_LENGTH = 128;
+
+const password = {
+  type: 'password',
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: MAX_PASSWORD_LENGTH,
+};
+
+const registration = {
+  type: 'object',
+  title: 'Invalid registration payload.',
+  strict: true,
+  properties: {
+    email: { type: 'email', required: true },
+    password: { ...password, required: true },
+    firstName: { type: 'string', maxLength: 100, required: true },
+    lastName: { type: 'string', maxLength: 100, required: true },
+    timeZone: { type: 'timezone', description: 'IANA time zone that event times are rendered in' },
+  },
+};
+
+const login = {
+  type: 'object',
+  title: 'Invalid login payload.',
+  strict: true,
+  properties: {
+    email: { type: 'email', required: true },
+    // Not held to the length rules so old or mistyped passwords fail as a
+    // plain login failure rather than a validation error.
+    password: { type: 'password', maxLength: MAX_PASSWORD_LENGTH, required: true },
+  },
+};
+
+const passwordChange = {
+  type: 'object',
+  title: 'Invalid password change payload.',
+  strict: true,
+  properties: {
+    currentPassword: {
+      type: 'password',
+      maxLength: MAX_PASSWORD_LENGTH,
+      description: 'Required unless the account has no password yet (Google-only accounts)',
+    },
+    newPassword: { ...password, required: true },
+  },
+};
+
+const passwordResetRequest = {
+  type: 'object',
+  title: 'Invalid password reset payload.',
+  strict: true,
+  properties: {
+    email: { type: 'email', required: true },
+  },
+};
+
+const passwordReset = {
+  type: 'object',
+  title: 'Invalid password reset payload.',
+  strict: true,
+  properties: {
+    token: { type: 'string', required: true, description: 'Token from the reset link' },
+    password: { ...password, required: true },
+  },
+};
+
+module.exports = {
+  registration,
+  login,
+  passwordChange,
+  passwordResetRequest,
+  passwordReset,
+};
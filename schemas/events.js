@@ -0,0 +1,148 @@
+const { RECURRENCE_FREQUENCIES, WEEKDAYS } = require('../utils/recurrence');
+const { asPartial } = require('../utils/schema');
+const { MAX_REMINDER_MINUTES, MAX_REMINDERS } = require('../utils/reminders');
+const { isPoint } = require('../utils/geo');
+
+const VISIBILITY_OPTIONS = ['public', 'subscribers', 'private'];
+
+const recurrence = {
+  type: 'object',
+  strict: true,
+  description: 'Repeat rule; the series ends through count and/or repeatUntil',
+  properties: {
+    freq: { type: 'options', options: RECURRENCE_FREQUENCIES, required: true },
+    interval: { type: 'number', integer: true, min: 1, default: 1 },
+    byDay: {
+      type: 'array',
+      items: { type: 'options', options: WEEKDAYS },
+      minItems: 1,
+      dedupe: true,
+      description: 'Weekdays to repeat on (daily and weekly rules only)',
+    },
+    count: { type: 'number', integer: true, min: 1, description: 'Total number of occurrences' },
+    exdates: {
+      type: 'array',
+      items: { type: 'date', timeZoneField: 'timeZone' },
+      description: 'Generated starts to skip',
+    },
+  },
+  rules: [
+    {
+      field: 'byDay',
+      message: 'recurrence.byDay is only supported for daily and weekly rules.',
+      check: ({ freq, byDay }) => !byDay || freq === 'daily' || freq === 'weekly',
+    },
+  ],
+};
+
+const reminders = {
+  type: 'array',
+  items: { type: 'number', integer: true, min: 1, max: MAX_REMINDER_MINUTES },
+  maxItems: MAX_REMINDERS,
+  dedupe: true,
+  description: 'Minutes before the start to remind the owner and everyone going, e.g. [15, 1440] (at most 7 days)',
+};
+
+const point = {
+  type: 'object',
+  strict: true,
+  description: 'GeoJSON Point; coordinates are [longitude, latitude]',
+  example: { type: 'Point', coordinates: [-118.2437, 34.0522] },
+  properties: {
+    type: { type: 'options', options: ['Point'], required: true },
+    coordinates: {
+      type: 'array',
+      items: { type: 'number' },
+      minItems: 2,
+      maxItems: 2,
+      required: true,
+    },
+  },
+  rules: [
+    {
+      field: 'coordinates',
+      message: 'coordinates must be [longitude, latitude], longitude within [-180, 180] and latitude within [-90, 90].',
+      check: (value) => isPoint(value),
+    },
+  ],
+};
+
+// Any one of the fields is enough: without a point, the place id (or else the
+// address) is geocoded and the rest filled in.
+const location = {
+  type: 'object',
+  strict: true,
+  description: 'Where the event takes place',
+  properties: {
+    placeId: { type: 'string', maxLength: 300, description: 'Place id of the geocoding provider, e.g. a Google place id' },
+    address: { type: 'string', maxLength: 500, description: 'Human-readable address' },
+    point,
+  },
+  rules: [
+    {
+      field: 'placeId',
+      message: 'location needs a placeId, an address or a point.',
+      check: ({ placeId, address, point: coordinates }) => Boolean(placeId || address || coordinates),
+    },
+  ],
+};
+
+const eventInput = {
+  type: 'object',
+  title: 'Invalid event payload.',
+  strict: true,
+  properties: {
+    visibility: { type: 'options', options: VISIBILITY_OPTIONS, required: true },
+    location,
+    description: { type: 'string', required: true },
+    timeZone: {
+      type: 'timezone',
+      description: 'IANA time zone; date-times without an offset are read in it and recurrences expand in it (default UTC)',
+    },
+    datetime_start: { type: 'date', timeZoneField: 'timeZone', required: true },
+    datetime_end: { type: 'date', timeZoneField: 'timeZone', required: true },
+    recurrence,
+    repeatUntil: { type: 'date', timeZoneField: 'timeZone' },
+    capacity: { type: 'number', integer: true, min: 1, description: 'Seat limit; further going RSVPs are waitlisted' },
+    reminders,
+  },
+  rules: [
+    {
+      field: 'datetime_end',
+      message: 'datetime_end must be after datetime_start.',
+      check: ({ datetime_start, datetime_end }) =>
+        !datetime_start || !datetime_end || datetime_end > datetime_start,
+    },
+    {
+      field: 'repeatUntil',
+      message: 'repeatUntil must be on or after datetime_start.',
+      check: ({ repeatUntil, datetime_start }) =>
+        !repeatUntil || !datetime_start || repeatUntil >= datetime_start,
+    },
+  ],
+};
+
+const eventUpdate = asPartial(eventInput);
+
+// Override of a single occurrence. Date-times without an offset are read in
+// the event's zone, which callers pass through the validation defaults.
+const occurrenceUpdate = {
+  type: 'object',
+  title: 'Invalid occurrence payload.',
+  strict: true,
+  properties: {
+    location,
+    description: { ...eventInput.properties.description, required: false },
+    datetime_start: { type: 'date', timeZoneField: 'timeZone' },
+    datetime_end: { type: 'date', timeZoneField: 'timeZone' },
+  },
+  rules: [eventInput.rules[0]],
+};
+
+module.exports = {
+  VISIBILITY_OPTIONS,
+  reminders,
+  eventInput,
+  eventUpdate,
+  occurrenceUpdate,
+};
@@ -0,0 +1,32 @@
+const { eventInput, eventUpdate, occurrenceUpdate } = require('./events');
+const { userUpdate } = require('./users');
+const { rsvpInput } = require('./rsvps');
+const {
+  registration,
+  login,
+  passwordChange,
+  passwordResetRequest,
+  passwordReset,
+} = require('./auth');
+const { accessTokenInput } = require('./tokens');
+const { moderationNote, roleChange } = require('./admin');
+const { webhookInput, webhookUpdate } = require('./webhooks');
+
+// Request bodies published under components/schemas in swagger-output.json.
+module.exports = {
+  EventInput: eventInput,
+  EventUpdate: eventUpdate,
+  OccurrenceUpdate: occurrenceUpdate,
+  UserUpdate: userUpdate,
+  RsvpInput: rsvpInput,
+  Registration: registration,
+  Login: login,
+  PasswordChange: passwordChange,
+  PasswordResetRequest: passwordResetRequest,
+  PasswordReset: passwordReset,
+  AccessTokenInput: accessTokenInput,
+  ModerationNote: moderationNote,
+  RoleChange: roleChange,
+  WebhookInput: webhookInput,
+  WebhookUpdate: webhookUpdate,
+};
@@ -0,0 +1,18 @@
+const { RSVP_STATUSES } = require('../utils/attendance');
+
+const rsvpInput = {
+  type: 'object',
+  title: 'Invalid RSVP payload.',
+  strict: true,
+  properties: {
+    status: { type: 'options', options: RSVP_STATUSES, required: true },
+    occurrence: {
+      type: 'date',
+      description: 'Original start of the occurrence; required for recurring events',
+    },
+  },
+};
+
+module.exports = {
+  rsvpInput,
+};
@@ -0,0 +1,26 @@
+const { TOKEN_SCOPES } = require('../utils/accessTokens');
+
+const accessTokenInput = {
+  type: 'object',
+  title: 'Invalid access token payload.',
+  strict: true,
+  properties: {
+    name: { type: 'string', maxLength: 100, required: true, description: 'What the token is for', example: 'Sync script' },
+    scopes: {
+      type: 'array',
+      items: { type: 'options', options: TOKEN_SCOPES },
+      minItems: 1,
+      dedupe: true,
+      required: true,
+    },
+    expiresAt: {
+      type: 'date',
+      description: 'When the token stops working; never when omitted',
+      validate: (value) => (value <= new Date() ? 'expiresAt must be in the future.' : undefined),
+    },
+  },
+};
+
+module.exports = {
+  accessTokenInput,
+};
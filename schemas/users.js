@@ -0,0 +1,24 @@
+const { reminders } = require('./events');
+
+const userUpdate = {
+  type: 'object',
+  title: 'Invalid user payload.',
+  strict: true,
+  properties: {
+    firstName: { type: 'string', maxLength: 100 },
+    lastName: { type: 'string', maxLength: 100 },
+    avatar: { type: 'string', description: 'Avatar URL' },
+    email: { type: 'email' },
+    requiresApproval: { type: 'boolean', description: 'New subscribers need approval' },
+    timeZone: { type: 'timezone', description: 'IANA time zone that event times are rendered in' },
+    reminders: {
+      ...reminders,
+      description: 'Minutes before the start of every event the user owns or goes to to send a reminder, on top of the event own reminders',
+    },
+    remindersEnabled: { type: 'boolean', description: 'Set to false to receive no reminders at all' },
+  },
+};
+
+module.exports = {
+  userUpdate,
+};
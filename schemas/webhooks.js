@@ -0,0 +1,59 @@
+const { CHANGE_TYPES } = require('../utils/changes');
+const { asPartial } = require('../utils/schema');
+const { assertPublicHost } = require('../utils/privateAddresses');
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+// Host names are only resolved on delivery; this catches literal addresses.
+const hasPublicHost = (value) => {
+  try {
+    assertPublicHost(new URL(value));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const webhookInput = {
+  type: 'object',
+  title: 'Invalid webhook payload.',
+  strict: true,
+  properties: {
+    url: {
+      type: 'string',
+      maxLength: 2000,
+      required: true,
+      description: 'Endpoint that receives the POST requests',
+      example: 'https://example.com/webhooks',
+      validate: (value) => {
+        if (!isHttpUrl(value)) {
+          return 'url must be an http or https URL.';
+        }
+        return hasPublicHost(value) ? undefined : 'url must not point to a private or local address.';
+      },
+    },
+    events: {
+      type: 'array',
+      items: { type: 'options', options: CHANGE_TYPES },
+      minItems: 1,
+      dedupe: true,
+      required: true,
+      description: 'Change types to deliver',
+    },
+    description: { type: 'string', maxLength: 200 },
+    active: { type: 'boolean', default: true, description: 'Inactive webhooks receive nothing, not even queued deliveries' },
+  },
+};
+
+const webhookUpdate = asPartial(webhookInput);
+
+module.exports = {
+  webhookInput,
+  webhookUpdate,
+};
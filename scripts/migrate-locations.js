@@ -0,0 +1,97 @@
+// Turns the googlePoint of events stored before locations were structured
+// into a location, looking the place id up with the configured GEOCODER.
+// Events and occurrences whose place is not found keep their googlePoint
+// and are listed; running the script again only retries those.
+//
+//   GEOCODER=google GOOGLE_MAPS_API_KEY=... node scripts/migrate-locations.js
+const mongodb = require('../db');
+const { ValidationError } = require('../utils/errors');
+const { resolveLocation } = require('../utils/geocoding');
+const { BUMP_VERSION } = require('../utils/versioning');
+
+const locate = async (placeId) => {
+  try {
+    return await resolveLocation({ placeId });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+const migrateEvent = async (event) => {
+  const set = {};
+  const unset = {};
+  const missed = [];
+
+  if (event.googlePoint !== undefined) {
+    const location = event.location || await locate(event.googlePoint);
+    if (location) {
+      set.location = location;
+      unset.googlePoint = '';
+    } else {
+      missed.push(event.googlePoint);
+    }
+  }
+
+  if ((event.exceptions || []).some((exception) => exception.googlePoint !== undefined)) {
+    const exceptions = [];
+    for (const exception of event.exceptions) {
+      const { googlePoint, ...rest } = exception;
+      const location = googlePoint !== undefined && (exception.location || await locate(googlePoint));
+      if (location) {
+        exceptions.push({ ...rest, location });
+      } else {
+        if (googlePoint !== undefined) {
+          missed.push(googlePoint);
+        }
+        exceptions.push(exception);
+      }
+    }
+    set.exceptions = exceptions;
+  }
+
+  if (!Object.keys(set).length) {
+    return missed;
+  }
+
+  const update = { $set: set, ...BUMP_VERSION };
+  if (Object.keys(unset).length) {
+    update.$unset = unset;
+  }
+  await mongodb.getDb().collection('events').updateOne({ _id: event._id }, update);
+
+  return missed;
+};
+
+const migrate = async () => {
+  const events = await mongodb.getDb().collection('events').find({
+    $or: [{ googlePoint: { $exists: true } }, { 'exceptions.googlePoint': { $exists: true } }],
+  }).toArray();
+
+  let unresolved = 0;
+  for (const event of events) {
+    const missed = await migrateEvent(event);
+    if (missed.length) {
+      unresolved += 1;
+      console.log(`${event._id}: not found: ${missed.join(', ')}`);
+    }
+  }
+
+  console.log(`Migrated ${events.length - unresolved} of ${events.length} event(s).`);
+};
+
+mongodb.initDb((err) => {
+  if (err) {
+    console.error(err);
+    process.exit(1);
+  }
+
+  migrate()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+});
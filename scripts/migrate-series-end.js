@@ -0,0 +1,41 @@
+// Stores the seriesEnd of recurring events written before it was kept, so
+// the reminder scheduler stops scanning series that are over. Events that
+// already have one are left alone, so the script can be run again.
+//
+//   node scripts/migrate-series-end.js
+const mongodb = require('../db');
+const { seriesEnd } = require('../utils/recurrence');
+
+const migrate = async () => {
+  const events = mongodb.getDb().collection('events');
+  const pending = await events.find({
+    recurrence: { $ne: null },
+    seriesEnd: { $exists: false },
+  }).toArray();
+
+  let ended = 0;
+  for (const event of pending) {
+    const end = seriesEnd(event);
+    // Derived and not part of the API, so the version stays.
+    await events.updateOne({ _id: event._id }, { $set: { seriesEnd: end } });
+    if (end && end <= new Date()) {
+      ended += 1;
+    }
+  }
+
+  console.log(`Stored seriesEnd on ${pending.length} event(s); ${ended} of them are over.`);
+};
+
+mongodb.initDb((err) => {
+  if (err) {
+    console.error(err);
+    process.exit(1);
+  }
+
+  migrate()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+});
@@ -0,0 +1,54 @@
+// Local endpoint for trying out webhooks: prints every delivery it receives
+// and checks its signature.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js
+//
+// Register http://localhost:4000/webhooks (or RECEIVER_PORT) as the url. The
+// API refuses local addresses unless it runs with WEBHOOK_ALLOW_PRIVATE=1.
+// Set FAIL_WITH=500 to answer with that status and watch the retries.
+const crypto = require('crypto');
+const http = require('http');
+
+const port = process.env.RECEIVER_PORT || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const failWith = Number(process.env.FAIL_WITH) || null;
+// Deliveries signed longer ago than this are refused.
+const TOLERANCE_SECONDS = 5 * 60;
+
+const verify = (header, body) => {
+  const parts = Object.fromEntries((header || '').split(',').map((part) => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) {
+    return 'missing signature';
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return 'timestamp too old';
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  const valid = expected.length === parts.v1.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+  return valid ? null : 'signature mismatch';
+};
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const problem = secret ? verify(req.headers['x-webhook-signature'], body) : null;
+
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} ${req.headers['x-webhook-event']} (delivery ${req.headers['x-webhook-id']})`);
+    console.log(problem ? `  rejected: ${problem}` : `  ${body}`);
+
+    if (problem) {
+      res.writeHead(401).end();
+    } else if (failWith) {
+      res.writeHead(failWith).end();
+    } else {
+      res.writeHead(204).end();
+    }
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}${secret ? '' : ' (signatures not checked: WEBHOOK_SECRET is not set)'}`);
+});
@@ -1,4 +1,7 @@
+const fs = require('fs');
 const swaggerAutogen = require('swagger-autogen')({ openapi: '3.0.0' });
+const { toOpenApi } = require('./utils/schema');
+const requestBodies = require('./schemas');
 
 const doc = {
   info: {
@@ -10,6 +13,41 @@ const doc = {
     { url: 'https://personal-assignment-05.onrender.com', description: 'Production server' },
   ],
   components: {
+    // Generated from the same schemas the controllers validate against.
+    '@schemas': {
+      ...Object.fromEntries(
+        Object.entries(requestBodies).map(([name, schema]) => [name, toOpenApi(schema)])
+      ),
+      // RFC 7807 body of every error response (see utils/errorHandler.js).
+      Problem: {
+        type: 'object',
+        required: ['type', 'title', 'status', 'detail', 'requestId'],
+        properties: {
+          type: { type: 'string', example: 'about:blank' },
+          title: { type: 'string', example: 'Not Found' },
+          status: { type: 'integer', example: 404 },
+          detail: { type: 'string', example: 'Event not found.' },
+          instance: { type: 'string', example: '/events/665f1c2e8b3e4a0012345678' },
+          requestId: { type: 'string', format: 'uuid' },
+          details: {
+            type: 'array',
+            description: 'Validation errors only: one entry per invalid field',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', example: 'recurrence.byDay[0]' },
+                message: { type: 'string' }
+              }
+            }
+          },
+          conflicts: {
+            type: 'array',
+            description: 'Strict conflict checks only: the overlapping occurrences',
+            items: { type: 'object' }
+          }
+        }
+      }
+    },
     securitySchemes: {
       cookieAuth: {
         type: 'apiKey',
@@ -19,7 +57,7 @@ const doc = {
       bearerAuth: {
         type: 'http',
         scheme: 'bearer',
-        bearerFormat: 'JWT'
+        description: 'Personal access token from POST /me/tokens (pat_...)'
       },
       googleOAuth: {
         type: 'oauth2',
@@ -37,14 +75,36 @@ const doc = {
       }
     }
   },
-  // Make cookieAuth the default for every operation (you can override per-route)
-  security: [{ cookieAuth: [] }]
+  // Session cookie or access token for every operation (you can override per-route)
+  security: [{ cookieAuth: [] }, { bearerAuth: [] }]
 };
 
 const outputFile = './swagger-output.json';
-const routes = ['./routes/index.js'];
+const routes = ['./routes/index.js', './routes/feeds.js', './routes/auth.js'];
 
 /* NOTE: If you are using the express Router, you must pass in the 'routes' only the 
 root file where the route starts, such as index.js, app.js, routes.js, etc ... */
 
-swaggerAutogen(outputFile, routes, doc);
+const problemResponse = {
+  description: 'Error (application/problem+json)',
+  content: {
+    'application/problem+json': {
+      schema: { $ref: '#/components/schemas/Problem' }
+    }
+  }
+};
+
+// swagger-autogen only knows the status codes a handler sets itself; errors
+// thrown to the central handler are documented as the default response.
+swaggerAutogen(outputFile, routes, doc).then((result) => {
+  if (!result || !result.success) {
+    return;
+  }
+
+  for (const operations of Object.values(result.data.paths)) {
+    for (const operation of Object.values(operations)) {
+      operation.responses = { ...operation.responses, default: problemResponse };
+    }
+  }
+  fs.writeFileSync(outputFile, JSON.stringify(result.data, null, 2));
+});
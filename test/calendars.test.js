@@ -0,0 +1,68 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { useMemoryDb } = require('./support/memoryDb');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const { hashToken } = require('../utils/tokens');
+const { NotFoundError } = require('../utils/errors');
+const { getCalendarFeed } = require('../controllers/calendars');
+
+const TOKEN = 'feed-token';
+
+let db;
+let user;
+
+const fetchFeed = (token = TOKEN) => getCalendarFeed(
+  fakeRequest({ params: { id: user._id.toString() }, query: { token } }),
+  fakeResponse(),
+);
+
+beforeEach(async () => {
+  db = useMemoryDb();
+  user = {
+    _id: new ObjectId(),
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    calendarTokenHash: hashToken(TOKEN),
+    deletedAt: null,
+    subscribetTo: [],
+  };
+  await db.collection('users').insertOne(user);
+  await db.collection('events').insertOne({
+    _id: new ObjectId(),
+    ownerID: user._id.toString(),
+    description: 'Standup',
+    datetime_start: new Date('2025-06-02T09:00:00Z'),
+    datetime_end: new Date('2025-06-02T09:15:00Z'),
+    visibility: 'public',
+    deletedAt: null,
+  });
+});
+
+const setUser = (fields) => db.collection('users').updateOne({ _id: user._id }, { $set: fields });
+
+describe('getCalendarFeed', () => {
+  it('serves the calendar for the right token', async () => {
+    const res = await fetchFeed();
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-type'], /^text\/calendar/);
+    assert.match(res.body, /SUMMARY:Standup/);
+  });
+
+  it('refuses a wrong token', async () => {
+    await assert.rejects(fetchFeed('other'), NotFoundError);
+  });
+
+  it('stops serving the calendar of a suspended user', async () => {
+    await setUser({ suspendedAt: new Date() });
+
+    await assert.rejects(fetchFeed(), NotFoundError);
+  });
+
+  it('stops serving the calendar of a deleted user', async () => {
+    await setUser({ deletedAt: new Date() });
+
+    await assert.rejects(fetchFeed(), NotFoundError);
+  });
+});
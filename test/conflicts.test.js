@@ -0,0 +1,65 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { useMemoryDb } = require('./support/memoryDb');
+const { findConflicts } = require('../utils/conflicts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const owner = new ObjectId().toString();
+
+let db;
+
+// Midnight UTC `days` from today, plus `hours`.
+const day = (days, hours = 0) => {
+  const today = new Date();
+  return new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()) +
+    days * DAY_MS + hours * 60 * 60 * 1000);
+};
+
+beforeEach(() => {
+  db = useMemoryDb();
+});
+
+describe('findConflicts', () => {
+  it('checks a long-running series against its upcoming occurrences', async () => {
+    const other = {
+      _id: new ObjectId(),
+      ownerID: owner,
+      datetime_start: day(3, 9),
+      datetime_end: day(3, 10),
+      recurrence: null,
+      deletedAt: null,
+    };
+    await db.collection('events').insertOne(other);
+
+    const series = {
+      datetime_start: day(-400, 9),
+      datetime_end: day(-400, 10),
+      recurrence: { freq: 'daily' },
+      timeZone: 'UTC',
+    };
+    const conflicts = await findConflicts(series, owner);
+
+    assert.deepEqual(conflicts.map(({ event }) => event._id), [other._id]);
+  });
+
+  it('leaves out occurrences that are over', async () => {
+    await db.collection('events').insertOne({
+      _id: new ObjectId(),
+      ownerID: owner,
+      datetime_start: day(-10, 9),
+      datetime_end: day(-10, 10),
+      recurrence: null,
+      deletedAt: null,
+    });
+
+    const series = {
+      datetime_start: day(-20, 9),
+      datetime_end: day(-20, 10),
+      recurrence: { freq: 'daily' },
+      timeZone: 'UTC',
+    };
+
+    assert.deepEqual(await findConflicts(series, owner), []);
+  });
+});
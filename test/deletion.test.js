@@ -0,0 +1,247 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { useMemoryDb } = require('./support/memoryDb');
+const {
+  DELETION_GRACE_DAYS,
+  deleteOwnerEvents,
+  restoreOwnerEvents,
+  releaseUserSeats,
+  purgeExpired,
+} = require('../utils/deletion');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-01T12:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS);
+
+const EXPIRED = daysAgo(DELETION_GRACE_DAYS + 1);
+const IN_GRACE = daysAgo(DELETION_GRACE_DAYS - 1);
+
+let db;
+const docs = (name) => db.collection(name).docs;
+
+const insertUser = async (fields = {}) => {
+  const user = { _id: new ObjectId(), deletedAt: null, subscribetTo: [], ...fields };
+  await db.collection('users').insertMany([user]);
+  return user;
+};
+
+const insertEvent = async (ownerID, fields = {}) => {
+  const event = {
+    _id: new ObjectId(),
+    ownerID,
+    datetime_start: daysAgo(-7),
+    deletedAt: null,
+    version: 1,
+    ...fields,
+  };
+  await db.collection('events').insertMany([event]);
+  return event;
+};
+
+beforeEach(() => {
+  db = useMemoryDb();
+});
+
+describe('deleteOwnerEvents', () => {
+  it('soft-deletes the live events of the owner and flags them', async () => {
+    const owner = (await insertUser())._id.toString();
+    const live = await insertEvent(owner);
+    await insertEvent(new ObjectId().toString());
+
+    const deleted = await deleteOwnerEvents(owner, NOW, owner);
+
+    assert.deepEqual(deleted.map((event) => event._id), [live._id]);
+    const [stored, other] = docs('events');
+    assert.deepEqual(stored.deletedAt, NOW);
+    assert.equal(stored.deletedBy, owner);
+    assert.equal(stored.deletedWithOwner, true);
+    assert.equal(stored.version, 2);
+    assert.equal(other.deletedAt, null);
+  });
+
+  it('leaves events the owner had already deleted alone', async () => {
+    const owner = (await insertUser())._id.toString();
+    await insertEvent(owner, { deletedAt: IN_GRACE, deletedBy: owner });
+
+    const deleted = await deleteOwnerEvents(owner, NOW, owner);
+
+    assert.deepEqual(deleted, []);
+    const [stored] = docs('events');
+    assert.deepEqual(stored.deletedAt, IN_GRACE);
+    assert.equal(stored.deletedWithOwner, undefined);
+    assert.equal(stored.version, 1);
+  });
+});
+
+describe('restoreOwnerEvents', () => {
+  it('restores only the events deleted along with the account', async () => {
+    const owner = (await insertUser())._id.toString();
+    const withOwner = await insertEvent(owner, {
+      deletedAt: IN_GRACE,
+      deletedBy: owner,
+      deletedWithOwner: true,
+    });
+    const earlier = await insertEvent(owner, { deletedAt: daysAgo(10), deletedBy: owner });
+
+    const restored = await restoreOwnerEvents(owner);
+
+    assert.deepEqual(restored.map((event) => event._id), [withOwner._id]);
+    const byId = (id) => docs('events').find((event) => event._id.equals(id));
+    assert.equal(byId(withOwner._id).deletedAt, undefined);
+    assert.equal(byId(withOwner._id).deletedBy, undefined);
+    assert.equal(byId(withOwner._id).deletedWithOwner, undefined);
+    assert.equal(byId(withOwner._id).version, 2);
+    assert.deepEqual(byId(earlier._id).deletedAt, daysAgo(10));
+  });
+});
+
+describe('releaseUserSeats', () => {
+  it('gives the seats of a deleted user to the waitlist and keeps their other RSVPs', async () => {
+    const user = await insertUser({ deletedAt: IN_GRACE });
+    const id = user._id.toString();
+    const host = (await insertUser())._id.toString();
+    const full = await insertEvent(host, { capacity: 1 });
+    const other = await insertEvent(host, { capacity: 1 });
+    const later = await insertEvent(host);
+    await db.collection('rsvps').insertMany([
+      { eventId: full._id, userId: id, status: 'going', occurrence: null, seatedAt: daysAgo(3) },
+      { eventId: full._id, userId: 'next', status: 'waitlisted', occurrence: null, waitlistedAt: daysAgo(2) },
+      { eventId: other._id, userId: 'seated', status: 'going', occurrence: null, seatedAt: daysAgo(3) },
+      { eventId: other._id, userId: id, status: 'waitlisted', occurrence: null, waitlistedAt: daysAgo(2) },
+      { eventId: later._id, userId: id, status: 'maybe', occurrence: null },
+    ]);
+
+    await releaseUserSeats(id);
+
+    const status = docs('rsvps').map((rsvp) => [rsvp.eventId.toString(), rsvp.userId, rsvp.status]);
+    assert.deepEqual(status, [
+      [full._id.toString(), 'next', 'going'],
+      [other._id.toString(), 'seated', 'going'],
+      [later._id.toString(), id, 'maybe'],
+    ]);
+  });
+});
+
+describe('purgeExpired', () => {
+  it('purges events past the grace period and keeps the rest', async () => {
+    const owner = (await insertUser())._id.toString();
+    const expired = await insertEvent(owner, { deletedAt: EXPIRED });
+    const inGrace = await insertEvent(owner, { deletedAt: IN_GRACE });
+    await insertEvent(owner, { deletedAt: daysAgo(DELETION_GRACE_DAYS) });
+    await db.collection('rsvps').insertMany([
+      { eventId: expired._id, userId: owner, status: 'going', occurrence: null },
+      { eventId: inGrace._id, userId: owner, status: 'going', occurrence: null },
+    ]);
+    await db.collection('notifications').insertMany([{ eventId: expired._id, userId: owner }]);
+
+    const result = await purgeExpired(NOW);
+
+    assert.deepEqual(result, { users: 0, events: 2 });
+    assert.deepEqual(docs('events').map((event) => event._id), [inGrace._id]);
+    assert.deepEqual(docs('rsvps').map((rsvp) => rsvp.eventId), [inGrace._id]);
+    assert.deepEqual(docs('notifications'), []);
+  });
+
+  it('keeps users still within the grace period', async () => {
+    await insertUser({ deletedAt: IN_GRACE });
+
+    const result = await purgeExpired(NOW);
+
+    assert.deepEqual(result, { users: 0, events: 0 });
+    assert.equal(docs('users').length, 1);
+  });
+
+  it('purges an expired user with everything that belongs to them', async () => {
+    const user = await insertUser({ deletedAt: EXPIRED });
+    const id = user._id.toString();
+    const other = await insertUser({ subscribetTo: [user._id] });
+    // Still within its own grace period, but it goes with its owner.
+    await insertEvent(id, { deletedAt: IN_GRACE, deletedWithOwner: true });
+    await db.collection('subscription_requests').insertMany([
+      { requesterId: user._id, targetId: other._id, status: 'pending' },
+      { requesterId: other._id, targetId: user._id, status: 'accepted' },
+    ]);
+    await db.collection('access_tokens').insertMany([{ userId: id }]);
+    await db.collection('password_resets').insertMany([{ userId: user._id }]);
+    await db.collection('notifications').insertMany([{ userId: id }]);
+    await db.collection('webhooks').insertMany([{ ownerId: id }]);
+    await db.collection('webhook_deliveries').insertMany([{ ownerId: id }]);
+    await db.collection('audit_log').insertMany([{ actorId: id }]);
+
+    const result = await purgeExpired(NOW);
+
+    assert.deepEqual(result, { users: 1, events: 1 });
+    assert.deepEqual(docs('users').map((doc) => doc._id), [other._id]);
+    assert.deepEqual(docs('users')[0].subscribetTo, []);
+    assert.equal(docs('users')[0].version, 1);
+    for (const name of [
+      'events',
+      'subscription_requests',
+      'access_tokens',
+      'password_resets',
+      'notifications',
+      'webhooks',
+      'webhook_deliveries',
+    ]) {
+      assert.deepEqual(docs(name), [], `${name} should be empty`);
+    }
+    assert.equal(docs('audit_log').length, 1);
+  });
+
+  it('withdraws the RSVPs of a purged user and seats the waitlist', async () => {
+    const user = await insertUser({ deletedAt: EXPIRED });
+    const id = user._id.toString();
+    const host = (await insertUser())._id.toString();
+    const event = await insertEvent(host, { capacity: 1 });
+    await db.collection('rsvps').insertMany([
+      { eventId: event._id, userId: id, status: 'going', occurrence: null, seatedAt: daysAgo(3) },
+      {
+        eventId: event._id,
+        userId: 'second',
+        status: 'waitlisted',
+        occurrence: null,
+        waitlistedAt: daysAgo(1),
+      },
+      {
+        eventId: event._id,
+        userId: 'first',
+        status: 'waitlisted',
+        occurrence: null,
+        waitlistedAt: daysAgo(2),
+      },
+    ]);
+
+    await purgeExpired(NOW);
+
+    const rsvps = docs('rsvps');
+    assert.ok(!rsvps.some((rsvp) => rsvp.userId === id));
+    const status = Object.fromEntries(rsvps.map((rsvp) => [rsvp.userId, rsvp.status]));
+    assert.deepEqual(status, { first: 'going', second: 'waitlisted' });
+  });
+
+  it('spares an account restored after it was picked for purging', async () => {
+    const user = await insertUser({ deletedAt: EXPIRED });
+    const event = await insertEvent(user._id.toString());
+    const users = db.collection('users');
+    const { find } = users;
+
+    // Restore the account between the scan and the guarded delete.
+    users.find = (...args) => {
+      const cursor = find(...args);
+      const { toArray } = cursor;
+      cursor.toArray = async () => {
+        const found = await toArray();
+        users.docs[0].deletedAt = null;
+        return found;
+      };
+      return cursor;
+    };
+
+    const result = await purgeExpired(NOW);
+
+    assert.deepEqual(result, { users: 0, events: 0 });
+    assert.equal(docs('users').length, 1);
+    assert.deepEqual(docs('events').map((doc) => doc._id), [event._id]);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { useMemoryDb } = require('./support/memoryDb');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const { registerProvider, createStubProvider } = require('../utils/geocoding');
+const { createEvent, getEvents, updateEvent } = require('../controllers/events');
+
+let db;
+const events = () => db.collection('events').docs;
+
+const owner = { id: new ObjectId().toString(), role: 'user' };
+
+const importedSeries = () => ({
+  _id: new ObjectId(),
+  ownerID: owner.id,
+  visibility: 'public',
+  description: 'Standup',
+  timeZone: 'UTC',
+  datetime_start: new Date('2030-01-01T09:00:00Z'),
+  datetime_end: new Date('2030-01-01T09:15:00Z'),
+  recurrence: { freq: 'daily', count: 10 },
+  icalUID: 'standup@example.com',
+  deletedAt: null,
+  version: 1,
+});
+
+beforeEach(() => {
+  db = useMemoryDb();
+});
+
+describe('updateEvent with scope=this-and-following', () => {
+  const split = (event, body, headers) => updateEvent(
+    fakeRequest({
+      user: owner,
+      params: { id: event._id.toString() },
+      query: { scope: 'this-and-following', occurrence: '2030-01-04T09:00:00.000Z' },
+      body,
+      headers,
+    }),
+    fakeResponse({ event }),
+  );
+
+  it('leaves the iCalendar UID with the original event', async () => {
+    const event = importedSeries();
+    await db.collection('events').insertOne({ ...event });
+
+    await split(event, { description: 'Standup (new room)' });
+
+    const [original, continued] = events();
+    assert.equal(original.icalUID, 'standup@example.com');
+    assert.equal(original.recurrence.count, 3);
+    assert.equal(continued.icalUID, undefined);
+    assert.equal(continued.description, 'Standup (new room)');
+    assert.equal(continued.recurrence.count, 7);
+  });
+
+  it('keeps the original series whole when the new one cannot be stored', async () => {
+    const event = importedSeries();
+    await db.collection('events').insertOne({ ...event });
+    db.collection('events').insertOne = async () => {
+      throw new Error('E11000 duplicate key error');
+    };
+
+    await assert.rejects(split(event, { description: 'Moved' }), /E11000/);
+
+    assert.equal(events().length, 1);
+    assert.equal(events()[0].recurrence.count, 10);
+    assert.equal(events()[0].version, 1);
+  });
+
+  it('drops the new series again when the original changed meanwhile', async () => {
+    const event = importedSeries();
+    await db.collection('events').insertOne({ ...event, version: 2 });
+
+    await assert.rejects(split(event, { description: 'Moved' }, { 'if-match': '"1"' }), {
+      name: 'PreconditionFailedError',
+    });
+
+    assert.equal(events().length, 1);
+    assert.equal(events()[0].recurrence.count, 10);
+  });
+});
+
+describe('updateEvent with scope=this', () => {
+  const override = (event, body) => updateEvent(
+    fakeRequest({
+      user: owner,
+      params: { id: event._id.toString() },
+      query: { scope: 'this', occurrence: '2030-01-04T09:00:00.000Z' },
+      body,
+    }),
+    fakeResponse({ event }),
+  );
+
+  it('rejects an end before the generated start', async () => {
+    const event = importedSeries();
+    await db.collection('events').insertOne({ ...event });
+
+    await assert.rejects(override(event, { datetime_end: '2030-01-04T08:30:00Z' }), (err) => {
+      assert.equal(err.name, 'ValidationError');
+      assert.deepEqual(err.details.map((detail) => detail.field), ['datetime_end']);
+      return true;
+    });
+    assert.equal(events()[0].exceptions, undefined);
+  });
+
+  it('accepts an end after the generated start', async () => {
+    const event = importedSeries();
+    await db.collection('events').insertOne({ ...event });
+
+    const res = await override(event, { datetime_end: '2030-01-04T09:45:00Z' });
+
+    assert.equal(res.statusCode, 204);
+    assert.deepEqual(events()[0].exceptions[0].datetime_end, new Date('2030-01-04T09:45:00Z'));
+  });
+});
+
+describe('getEvents location filters', () => {
+  const PLACES = [
+    { placeId: 'louvre', address: 'Rue de Rivoli, Paris', lat: 48.8606, lng: 2.3376 },
+    { placeId: 'orsay', address: "Rue de la Légion d'Honneur, Paris", lat: 48.86, lng: 2.3266 },
+    { placeId: 'versailles', address: "Place d'Armes, Versailles", lat: 48.8049, lng: 2.1204 },
+  ];
+
+  const create = async (description, location) => {
+    const res = await createEvent(fakeRequest({
+      user: owner,
+      query: {},
+      body: {
+        visibility: 'public',
+        description,
+        datetime_start: '2030-02-01T10:00:00Z',
+        datetime_end: '2030-02-01T11:00:00Z',
+        location,
+      },
+    }), fakeResponse());
+    assert.equal(res.statusCode, 201);
+  };
+
+  const list = async (query) => {
+    const res = await getEvents(fakeRequest({ user: owner, query }), fakeResponse());
+    return res.body.data;
+  };
+
+  beforeEach(async () => {
+    registerProvider('stub', () => createStubProvider(PLACES));
+    await create('Louvre', { placeId: 'louvre' });
+    await create('Orsay', { address: "rue de la légion d'honneur, paris" });
+    await create('Versailles', { placeId: 'versailles' });
+    await create('Online', undefined);
+  });
+
+  it('stores the places the stub geocoder resolved', () => {
+    const orsay = events().find((event) => event.description === 'Orsay');
+    assert.equal(orsay.location.placeId, 'orsay');
+    assert.deepEqual(orsay.location.point.coordinates, [2.3266, 48.86]);
+  });
+
+  it('keeps events within radius of near and reports their distance', async () => {
+    const found = await list({ near: '48.8606,2.3376', radius: '2000' });
+
+    assert.deepEqual(found.map((event) => event.description), ['Louvre', 'Orsay']);
+    assert.equal(found[0].distance, 0);
+    assert.ok(found[1].distance > 700 && found[1].distance < 900, `${found[1].distance}`);
+  });
+
+  it('uses a 10 km radius by default', async () => {
+    const found = await list({ near: '48.8606,2.3376' });
+
+    assert.deepEqual(found.map((event) => event.description), ['Louvre', 'Orsay']);
+  });
+
+  it('keeps events inside bbox', async () => {
+    const found = await list({ bbox: '48.79,2.1,48.82,2.2' });
+
+    assert.deepEqual(found.map((event) => event.description), ['Versailles']);
+    assert.equal(found[0].distance, undefined);
+  });
+
+  it('rejects malformed filters and a radius without near', async () => {
+    for (const query of [{ near: '48.8' }, { bbox: '1,2,3' }, { radius: '500' }]) {
+      await assert.rejects(
+        list(query),
+        { name: 'ValidationError', message: 'Invalid event query.' },
+        JSON.stringify(query),
+      );
+    }
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLatLng, parseBounds } = require('../utils/geo');
+
+describe('parseLatLng', () => {
+  it('reads "latitude,longitude"', () => {
+    assert.deepEqual(parseLatLng('48.8584,2.2945'), { lat: 48.8584, lng: 2.2945 });
+    assert.deepEqual(parseLatLng(' -33.9 , 151.2 '), { lat: -33.9, lng: 151.2 });
+  });
+
+  it('rejects malformed and out-of-range values', () => {
+    for (const value of ['48.8', '48.8,', ',2.3', '1,2,3', 'a,b', '91,0', '0,181', '']) {
+      assert.equal(parseLatLng(value), null, value);
+    }
+  });
+});
+
+describe('parseBounds', () => {
+  it('reads "south,west,north,east"', () => {
+    assert.deepEqual(parseBounds('48.8,2.2,48.9,2.4'), { south: 48.8, west: 2.2, north: 48.9, east: 2.4 });
+  });
+
+  it('rejects inverted, too wide and malformed boxes', () => {
+    for (const value of [
+      '48.9,2.2,48.8,2.4',
+      '48.8,2.4,48.9,2.2',
+      '-10,-100,10,100',
+      '170,0,10,1',
+      '1,2,3',
+      '1,2,3,x',
+    ]) {
+      assert.equal(parseBounds(value), null, value);
+    }
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerProvider, createStubProvider, resolveLocation } = require('../utils/geocoding');
+
+const EIFFEL_TOWER = { placeId: 'eiffel', address: 'Champ de Mars, Paris', lat: 48.8584, lng: 2.2945 };
+
+const useStub = (places) => registerProvider('stub', () => createStubProvider(places));
+
+afterEach(() => {
+  useStub([]);
+});
+
+describe('resolveLocation', () => {
+  it('looks a place id up and fills in the address and point', async () => {
+    useStub([EIFFEL_TOWER]);
+
+    assert.deepEqual(await resolveLocation({ placeId: 'eiffel' }), {
+      placeId: 'eiffel',
+      address: 'Champ de Mars, Paris',
+      point: { type: 'Point', coordinates: [2.2945, 48.8584] },
+    });
+  });
+
+  it('geocodes an address regardless of case and spacing, keeping the address sent', async () => {
+    useStub([EIFFEL_TOWER]);
+
+    const location = await resolveLocation({ address: '  champ de   MARS, paris' });
+
+    assert.equal(location.placeId, 'eiffel');
+    assert.equal(location.address, '  champ de   MARS, paris');
+    assert.deepEqual(location.point.coordinates, [2.2945, 48.8584]);
+  });
+
+  it('keeps a point sent by the client without a lookup', async () => {
+    useStub([]);
+    const location = { address: 'Somewhere', point: { type: 'Point', coordinates: [1, 2] } };
+
+    assert.deepEqual(await resolveLocation(location), location);
+  });
+
+  it('reports an unknown place as a validation error on the field', async () => {
+    useStub([]);
+
+    await assert.rejects(resolveLocation({ placeId: 'nowhere' }, 'exceptions[0].location'), (err) => {
+      assert.equal(err.name, 'ValidationError');
+      assert.equal(err.message, 'Invalid location.');
+      assert.deepEqual(err.details, [
+        { field: 'exceptions[0].location', message: 'exceptions[0].location could not be found.' },
+      ]);
+      return true;
+    });
+  });
+
+  it('answers 503 when the provider fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    registerProvider('stub', () => ({
+      lookupPlace: async () => {
+        throw new Error('provider down');
+      },
+    }));
+
+    await assert.rejects(resolveLocation({ placeId: 'eiffel' }), { name: 'ServiceUnavailableError' });
+  });
+});
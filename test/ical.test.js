@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { serializeCalendar, parseCalendar } = require('../utils/ical');
+
+const uids = (text) => text.split('\r\n').filter((line) => line.startsWith('UID:'));
+
+const event = (fields = {}) => ({
+  _id: new ObjectId(),
+  description: 'Standup',
+  datetime_start: new Date('2025-06-02T09:00:00Z'),
+  datetime_end: new Date('2025-06-02T09:15:00Z'),
+  visibility: 'public',
+  ...fields,
+});
+
+describe('serializeCalendar', () => {
+  it('exports imported events with their stored UID', () => {
+    const imported = event({
+      icalUID: 'abc-123@example.org',
+      recurrence: { freq: 'daily' },
+      exceptions: [{ originalStart: new Date('2025-06-03T09:00:00Z'), description: 'Moved' }],
+    });
+
+    assert.deepEqual(uids(serializeCalendar([imported])), [
+      'UID:abc-123@example.org',
+      'UID:abc-123@example.org',
+    ]);
+  });
+
+  it('generates a UID for events created here', () => {
+    const created = event();
+
+    const [uid] = uids(serializeCalendar([created]));
+    assert.match(uid, new RegExp(`^UID:${created._id}@`));
+  });
+});
+
+describe('parseCalendar', () => {
+  const parseRule = (dtstart, rrule) => {
+    const [item] = parseCalendar([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:series@example.org',
+      'SUMMARY:Standup',
+      dtstart,
+      rrule,
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n'));
+    return item.payload;
+  };
+
+  it('reads a date-only UNTIL as the end of that day in the event time zone', () => {
+    const payload = parseRule(
+      'DTSTART;TZID=America/Los_Angeles:20250602T180000',
+      'RRULE:FREQ=DAILY;UNTIL=20250605',
+    );
+
+    assert.equal(payload.repeatUntil, '2025-06-06T06:59:59.999Z');
+  });
+
+  it('reads a date-only UNTIL as the end of that day in UTC for events without a zone', () => {
+    const payload = parseRule('DTSTART:20250602T180000Z', 'RRULE:FREQ=DAILY;UNTIL=20250605');
+
+    assert.equal(payload.repeatUntil, '2025-06-05T23:59:59.999Z');
+  });
+
+  it('reads an UNTIL without "Z" as wall-clock time in the event time zone', () => {
+    const payload = parseRule(
+      'DTSTART;TZID=Europe/Berlin:20250602T090000',
+      'RRULE:FREQ=DAILY;UNTIL=20250605T090000',
+    );
+
+    assert.equal(payload.repeatUntil, '2025-06-05T07:00:00.000Z');
+  });
+
+  it('keeps a UTC UNTIL as it is', () => {
+    const payload = parseRule(
+      'DTSTART;TZID=Europe/Berlin:20250602T090000',
+      'RRULE:FREQ=DAILY;UNTIL=20250605T070000Z',
+    );
+
+    assert.equal(payload.repeatUntil, '2025-06-05T07:00:00.000Z');
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let dir;
+let mailer;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-'));
+  process.env.MAIL_TRANSPORT = 'file';
+  process.env.MAIL_FILE = path.join(dir, 'mail.log');
+  // The transport is picked once, on first use.
+  mailer = require('../utils/mailer');
+});
+
+after(() => {
+  delete process.env.MAIL_TRANSPORT;
+  delete process.env.MAIL_FILE;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const logged = () => fs.readFileSync(process.env.MAIL_FILE, 'utf8')
+  .trim()
+  .split('\n')
+  .map((line) => JSON.parse(line));
+
+describe('file transport', () => {
+  it('writes messages as JSON lines', async () => {
+    await mailer.sendMail({ to: 'ada@example.com', subject: 'Reminder: Standup', text: 'Starts soon' });
+
+    const [message] = logged();
+    assert.equal(message.to, 'ada@example.com');
+    assert.equal(message.subject, 'Reminder: Standup');
+    assert.equal(message.text, 'Starts soon');
+    assert.ok(message.at);
+  });
+
+  it('leaves out the text of sensitive messages', async () => {
+    await mailer.sendMail({
+      to: 'ada@example.com',
+      subject: 'Reset your password',
+      text: 'Use this link: https://example.com/reset?token=secret-token',
+      sensitive: true,
+    });
+
+    const content = fs.readFileSync(process.env.MAIL_FILE, 'utf8');
+    assert.ok(!content.includes('secret-token'));
+    assert.equal(logged().at(-1).text, '[text withheld: sensitive message]');
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateAddress, assertPublicHost, guardedLookup } = require('../utils/privateAddresses');
+
+const lookup = (hostname) => new Promise((resolve, reject) => {
+  guardedLookup(hostname, { all: true }, (err, addresses) => (err ? reject(err) : resolve(addresses)));
+});
+
+afterEach(() => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE;
+});
+
+describe('isPrivateAddress', () => {
+  it('flags loopback, private, link-local and reserved addresses', () => {
+    for (const address of [
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.31.255.255',
+      '192.168.0.10',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '255.255.255.255',
+      '::1',
+      '::',
+      'fd00:ec2::254',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('lets public addresses through', () => {
+    for (const address of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('assertPublicHost', () => {
+  it('rejects literal private addresses and localhost', () => {
+    for (const url of ['http://127.0.0.1:4000/', 'http://[::1]/', 'http://localhost/', 'http://169.254.169.254/latest']) {
+      assert.throws(() => assertPublicHost(new URL(url)), { code: 'EPRIVATEADDRESS' }, url);
+    }
+  });
+
+  it('leaves host names to the lookup', () => {
+    assert.doesNotThrow(() => assertPublicHost(new URL('https://hooks.example.com/in')));
+  });
+
+  it('allows everything with WEBHOOK_ALLOW_PRIVATE=1', () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE = '1';
+    assert.doesNotThrow(() => assertPublicHost(new URL('http://localhost:4000/')));
+  });
+});
+
+describe('guardedLookup', () => {
+  it('refuses names that resolve to a private address', async () => {
+    await assert.rejects(lookup('localhost'), { code: 'EPRIVATEADDRESS' });
+  });
+
+  it('resolves them with WEBHOOK_ALLOW_PRIVATE=1', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE = '1';
+    const addresses = await lookup('localhost');
+    assert.ok(addresses.length > 0);
+  });
+});
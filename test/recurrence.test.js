@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { seriesEnd, truncateSeries, continueSeries } = require('../utils/recurrence');
+
+const at = (iso) => new Date(iso);
+
+const daily = (fields = {}) => ({
+  datetime_start: at('2025-03-03T09:00:00Z'),
+  datetime_end: at('2025-03-03T10:00:00Z'),
+  timeZone: 'UTC',
+  recurrence: { freq: 'daily' },
+  ...fields,
+});
+
+describe('seriesEnd', () => {
+  it('is the end of a single event', () => {
+    assert.deepEqual(seriesEnd(daily({ recurrence: null })), at('2025-03-03T10:00:00Z'));
+  });
+
+  it('is null for a series without count or repeatUntil', () => {
+    assert.equal(seriesEnd(daily()), null);
+  });
+
+  it('ends with the last occurrence a count allows', () => {
+    const event = daily({ recurrence: { freq: 'daily', count: 3 } });
+    assert.deepEqual(seriesEnd(event), at('2025-03-05T10:00:00Z'));
+  });
+
+  it('ends with the last occurrence before repeatUntil', () => {
+    const event = daily({ repeatUntil: at('2025-03-10T08:00:00Z') });
+    assert.deepEqual(seriesEnd(event), at('2025-03-09T10:00:00Z'));
+  });
+
+  it('covers an occurrence moved past the last one', () => {
+    const event = daily({
+      recurrence: { freq: 'daily', count: 3 },
+      exceptions: [
+        { originalStart: at('2025-03-04T09:00:00Z'), datetime_start: at('2025-03-08T09:00:00Z') },
+        { originalStart: at('2025-03-05T09:00:00Z'), cancelled: true },
+      ],
+    });
+    assert.deepEqual(seriesEnd(event), at('2025-03-08T10:00:00Z'));
+  });
+
+  it('is kept by a this-and-following split', () => {
+    const event = daily();
+    const split = at('2025-03-06T09:00:00Z');
+
+    assert.deepEqual(truncateSeries(event, split, 3).seriesEnd, at('2025-03-05T10:00:00Z'));
+    assert.equal(continueSeries(event, split, 3, {}).seriesEnd, null);
+  });
+});
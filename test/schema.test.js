@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, asPartial } = require('../utils/schema');
+const { webhookInput, webhookUpdate } = require('../schemas/webhooks');
+
+describe('validate', () => {
+  it('names the resource in the error it throws', () => {
+    assert.throws(() => validate(webhookInput, { url: 42 }), {
+      name: 'ValidationError',
+      message: 'Invalid webhook payload.',
+    });
+    assert.throws(() => validate(webhookUpdate, { url: 42 }), { message: 'Invalid webhook payload.' });
+  });
+
+  it('falls back to a generic title', () => {
+    const schema = asPartial({ type: 'object', strict: true, properties: { n: { type: 'number' } } });
+
+    assert.throws(() => validate(schema, { n: 'x' }), (err) => {
+      assert.equal(err.message, 'Invalid request.');
+      assert.deepEqual(err.details.map((detail) => detail.field), ['n']);
+      return true;
+    });
+  });
+});
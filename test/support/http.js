@@ -0,0 +1,41 @@
+// Minimal stand-ins for the Express request and response, for calling
+// controllers directly.
+const fakeRequest = ({ user, params = {}, query = {}, body, headers = {} } = {}) => ({
+  id: 'test-request',
+  user,
+  params,
+  query,
+  body,
+  get: (name) => headers[name.toLowerCase()],
+});
+
+const fakeResponse = (locals = {}) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    locals,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    type(value) {
+      return res.set('Content-Type', value);
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
+
+module.exports = { fakeRequest, fakeResponse };
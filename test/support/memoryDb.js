@@ -0,0 +1,265 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../../db');
+
+// An in-memory stand-in for the handful of collection methods the tested
+// modules call, so the tests run without a MongoDB server. It understands
+// only the query and update operators those modules use.
+
+const comparable = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value instanceof ObjectId) {
+    return value.toHexString();
+  }
+  return value;
+};
+
+const equals = (a, b) => {
+  if (a == null || b == null) {
+    return a == null && b == null;
+  }
+  return comparable(a) === comparable(b);
+};
+
+// Copies documents in and out like the driver does, keeping ObjectIds and
+// Dates intact (structuredClone would drop the ObjectId prototype).
+const clone = (value) => {
+  if (value instanceof ObjectId) {
+    return value;
+  }
+  if (value instanceof Date) {
+    return new Date(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !(value instanceof Date) &&
+  !(value instanceof ObjectId) &&
+  Object.keys(value).some((key) => key.startsWith('$'));
+
+const matchesValue = (value, expected) =>
+  Array.isArray(value) && !Array.isArray(expected)
+    ? value.some((item) => equals(item, expected))
+    : equals(value, expected);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Angular distance in radians between two [lng, lat] pairs.
+const angleBetween = ([lng1, lat1], [lng2, lat2]) => {
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+  return 2 * Math.asin(Math.sqrt(a));
+};
+
+// $centerSphere, and $geometry polygons that are axis-aligned boxes.
+const geoWithin = (point, { $centerSphere, $geometry }) => {
+  if (!point || !Array.isArray(point.coordinates)) {
+    return false;
+  }
+  const [lng, lat] = point.coordinates;
+  if ($centerSphere) {
+    const [center, radius] = $centerSphere;
+    return angleBetween(center, [lng, lat]) <= radius;
+  }
+
+  const ring = $geometry.coordinates[0];
+  const lngs = ring.map(([x]) => x);
+  const lats = ring.map(([, y]) => y);
+  return lng >= Math.min(...lngs) && lng <= Math.max(...lngs) &&
+    lat >= Math.min(...lats) && lat <= Math.max(...lats);
+};
+
+const OPERATORS = {
+  $in: (value, list) => list.some((expected) => matchesValue(value, expected)),
+  $nin: (value, list) => !list.some((expected) => matchesValue(value, expected)),
+  $ne: (value, expected) => !matchesValue(value, expected),
+  $exists: (value, exists) => (value !== undefined) === exists,
+  $lt: (value, bound) => value != null && comparable(value) < comparable(bound),
+  $lte: (value, bound) => value != null && comparable(value) <= comparable(bound),
+  $gt: (value, bound) => value != null && comparable(value) > comparable(bound),
+  $gte: (value, bound) => value != null && comparable(value) >= comparable(bound),
+  $geoWithin: geoWithin,
+};
+
+const valueAt = (doc, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, expected]) => {
+  if (key === '$or') {
+    return expected.some((branch) => matches(doc, branch));
+  }
+  if (key === '$and') {
+    return expected.every((branch) => matches(doc, branch));
+  }
+
+  const value = valueAt(doc, key);
+  if (!isOperatorObject(expected)) {
+    return matchesValue(value, expected);
+  }
+
+  return Object.entries(expected).every(([operator, argument]) => {
+    if (!OPERATORS[operator]) {
+      throw new Error(`memoryDb does not support ${operator}.`);
+    }
+    return OPERATORS[operator](value, argument);
+  });
+});
+
+const applyUpdate = (doc, update) => {
+  Object.assign(doc, update.$set);
+  for (const key of Object.keys(update.$unset || {})) {
+    delete doc[key];
+  }
+  for (const [key, amount] of Object.entries(update.$inc || {})) {
+    doc[key] = (doc[key] || 0) + amount;
+  }
+  for (const [key, value] of Object.entries(update.$pull || {})) {
+    doc[key] = (doc[key] || []).filter((item) => !equals(item, value));
+  }
+};
+
+const sortBy = (sort) => (a, b) => {
+  for (const [key, direction] of Object.entries(sort)) {
+    const left = comparable(a[key]);
+    const right = comparable(b[key]);
+    if (left !== right) {
+      return (left === undefined || left < right ? -1 : 1) * direction;
+    }
+  }
+  return 0;
+};
+
+const cursor = (docs) => {
+  let results = docs.map((doc) => clone(doc));
+  const api = {
+    project: () => api,
+    sort: (sort) => {
+      results.sort(sortBy(sort));
+      return api;
+    },
+    limit: (n) => {
+      results = results.slice(0, n);
+      return api;
+    },
+    toArray: async () => results,
+  };
+  return api;
+};
+
+// Supports $match, and $group with a key of field references and $sum: 1
+// counters.
+const aggregate = (docs, pipeline) => {
+  let rows = docs.map(clone);
+  for (const stage of pipeline) {
+    if (stage.$match) {
+      rows = rows.filter((doc) => matches(doc, stage.$match));
+    } else if (stage.$group) {
+      const { _id: key, ...counters } = stage.$group;
+      const groups = new Map();
+      for (const doc of rows) {
+        const id = Object.fromEntries(Object.entries(key).map(([name, ref]) => [name, valueAt(doc, ref.slice(1))]));
+        const hash = JSON.stringify(id);
+        if (!groups.has(hash)) {
+          groups.set(hash, { _id: id, ...Object.fromEntries(Object.keys(counters).map((name) => [name, 0])) });
+        }
+        for (const name of Object.keys(counters)) {
+          groups.get(hash)[name] += 1;
+        }
+      }
+      rows = [...groups.values()];
+    } else {
+      throw new Error(`memoryDb does not support the ${Object.keys(stage)[0]} stage.`);
+    }
+  }
+  return { toArray: async () => rows };
+};
+
+const createCollection = (docs) => {
+  const matching = (filter) => docs.filter((doc) => matches(doc, filter));
+
+  return {
+    docs,
+    find: (filter = {}) => cursor(matching(filter)),
+    aggregate: (pipeline) => aggregate(docs, pipeline),
+    findOne: async (filter = {}) => {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      return doc ? clone(doc) : null;
+    },
+    countDocuments: async (filter = {}) => matching(filter).length,
+    distinct: async (field, filter = {}) => [...new Set(matching(filter).map((doc) => doc[field]))],
+    insertOne: async (doc) => {
+      doc._id = doc._id || new ObjectId();
+      docs.push(clone(doc));
+      return { insertedId: doc._id };
+    },
+    insertMany: async (inserted) => {
+      for (const doc of inserted) {
+        docs.push({ _id: new ObjectId(), ...doc });
+      }
+    },
+    updateMany: async (filter, update) => {
+      const updated = matching(filter);
+      updated.forEach((doc) => applyUpdate(doc, update));
+      return { matchedCount: updated.length, modifiedCount: updated.length };
+    },
+    updateOne: async (filter, update) => {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (doc) {
+        applyUpdate(doc, update);
+      }
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      const [doc] = options.sort ? matching(filter).sort(sortBy(options.sort)) : matching(filter);
+      if (!doc) {
+        return null;
+      }
+      const before = clone(doc);
+      applyUpdate(doc, update);
+      return options.returnDocument === 'after' ? clone(doc) : before;
+    },
+    deleteOne: async (filter) => {
+      const index = docs.findIndex((doc) => matches(doc, filter));
+      if (index !== -1) {
+        docs.splice(index, 1);
+      }
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+    deleteMany: async (filter) => {
+      const removed = matching(filter);
+      for (const doc of removed) {
+        docs.splice(docs.indexOf(doc), 1);
+      }
+      return { deletedCount: removed.length };
+    },
+  };
+};
+
+// Points db.getDb() at a fresh, empty database and returns it. Seed and
+// inspect collections through `collection(name).docs`.
+const useMemoryDb = () => {
+  const collections = new Map();
+  const db = {
+    collection: (name) => {
+      if (!collections.has(name)) {
+        collections.set(name, createCollection([]));
+      }
+      return collections.get(name);
+    },
+  };
+
+  mongodb.getDb = () => db;
+  return db;
+};
+
+module.exports = { useMemoryDb };
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { useMemoryDb } = require('./support/memoryDb');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const { updateUser } = require('../controllers/users');
+
+let db;
+let user;
+
+const put = (body) => updateUser(
+  fakeRequest({ user: { id: user._id.toString(), role: 'user' }, params: { id: user._id.toString() }, body }),
+  fakeResponse(),
+);
+
+beforeEach(async () => {
+  db = useMemoryDb();
+  user = {
+    _id: new ObjectId(),
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    deletedAt: null,
+    version: 1,
+  };
+  await db.collection('users').insertOne({ ...user });
+});
+
+describe('updateUser', () => {
+  it('stores the reminder settings', async () => {
+    const res = await put({ reminders: [30, 10], remindersEnabled: false });
+
+    assert.equal(res.statusCode, 204);
+    const [stored] = db.collection('users').docs;
+    assert.deepEqual(stored.reminders, [30, 10]);
+    assert.equal(stored.remindersEnabled, false);
+  });
+
+  it('stores a changed email lower-cased and no longer verified', async () => {
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { emailVerifiedAt: new Date() } });
+
+    await put({ email: 'Ada.King@Example.com' });
+
+    const [stored] = db.collection('users').docs;
+    assert.equal(stored.email, 'ada.king@example.com');
+    assert.equal(stored.emailVerifiedAt, undefined);
+  });
+
+  it('keeps the verification when the email stays the same', async () => {
+    const verifiedAt = new Date();
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { emailVerifiedAt: verifiedAt } });
+
+    await put({ email: 'ADA@example.com', firstName: 'Augusta' });
+
+    const [stored] = db.collection('users').docs;
+    assert.equal(stored.email, 'ada@example.com');
+    assert.deepEqual(stored.emailVerifiedAt, verifiedAt);
+  });
+
+  it('refuses an email another account has in a different case', async () => {
+    await db.collection('users').insertOne({ _id: new ObjectId(), email: 'grace@example.com', deletedAt: null });
+
+    await assert.rejects(put({ email: 'Grace@Example.com' }), { name: 'ConflictError' });
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { ObjectId } = require('mongodb');
+const { useMemoryDb } = require('./support/memoryDb');
+const { signPayload, dispatchDue, replayDelivery } = require('../utils/webhooks');
+
+const SECRET = 'whsec_test';
+const SECOND_MS = 1000;
+
+let db;
+let server;
+let url;
+// What the receiver answers next, and what it got.
+let respond;
+let received;
+
+const deliveries = () => db.collection('webhook_deliveries').docs;
+
+const insertWebhook = async (fields = {}) => {
+  const webhook = {
+    _id: new ObjectId(),
+    ownerId: 'owner',
+    url,
+    secret: SECRET,
+    events: ['event.created'],
+    active: true,
+    ...fields,
+  };
+  await db.collection('webhooks').insertOne(webhook);
+  return webhook;
+};
+
+const insertDelivery = async (webhook, fields = {}) => {
+  const delivery = {
+    _id: new ObjectId(),
+    webhookId: webhook._id,
+    ownerId: webhook.ownerId,
+    payloadId: 'chg_1',
+    type: 'event.created',
+    body: '{"id":"chg_1"}',
+    replayOf: null,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date(Date.now() - SECOND_MS),
+    createdAt: new Date(),
+    ...fields,
+  };
+  await db.collection('webhook_deliveries').insertOne(delivery);
+  return delivery;
+};
+
+// Lets the next retry of `delivery` become due.
+const makeDue = (delivery) => {
+  deliveries().find((doc) => doc._id.equals(delivery._id)).nextAttemptAt = new Date(Date.now() - SECOND_MS);
+};
+
+before(async () => {
+  process.env.WEBHOOK_ALLOW_PRIVATE = '1';
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      respond(res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE;
+  server.close();
+});
+
+beforeEach(() => {
+  db = useMemoryDb();
+  received = [];
+  respond = (res) => res.writeHead(200).end('ok');
+});
+
+describe('signPayload', () => {
+  it('signs the timestamp and the body with HMAC-SHA256', () => {
+    const digest = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+
+    assert.equal(signPayload(SECRET, 1700000000, '{"a":1}'), `t=1700000000,v1=${digest}`);
+  });
+});
+
+describe('dispatchDue', () => {
+  it('delivers the body with verifiable headers', async () => {
+    const webhook = await insertWebhook();
+    const delivery = await insertDelivery(webhook);
+
+    assert.equal(await dispatchDue(), 1);
+
+    const [request] = received;
+    assert.equal(request.body, delivery.body);
+    assert.equal(request.headers['x-webhook-id'], delivery._id.toString());
+    assert.equal(request.headers['x-webhook-event'], 'event.created');
+    const timestamp = Number(/t=(\d+)/.exec(request.headers['x-webhook-signature'])[1]);
+    assert.equal(request.headers['x-webhook-signature'], signPayload(SECRET, timestamp, delivery.body));
+
+    const [stored] = deliveries();
+    assert.equal(stored.status, 'delivered');
+    assert.equal(stored.attempts, 1);
+    assert.equal(stored.lastAttempt.responseStatus, 200);
+    assert.equal(stored.lastAttempt.responseBody, 'ok');
+  });
+
+  it('retries failed attempts with a doubling delay', async () => {
+    respond = (res) => res.writeHead(500).end('down');
+    const webhook = await insertWebhook();
+    const delivery = await insertDelivery(webhook);
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 3; attempt += 1) {
+      const started = Date.now();
+      assert.equal(await dispatchDue(), 0);
+      const [stored] = deliveries();
+      assert.equal(stored.status, 'pending');
+      assert.equal(stored.attempts, attempt);
+      assert.equal(stored.lastAttempt.error, 'Endpoint answered 500.');
+      delays.push(Math.round((stored.nextAttemptAt.getTime() - started) / SECOND_MS));
+      makeDue(delivery);
+    }
+
+    assert.deepEqual(delays, [30, 60, 120]);
+  });
+
+  it('gives up after the last attempt', async () => {
+    respond = (res) => res.writeHead(503).end();
+    const webhook = await insertWebhook();
+    await insertDelivery(webhook, { attempts: 9 });
+
+    await dispatchDue();
+
+    const [stored] = deliveries();
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.attempts, 10);
+  });
+
+  it('does not send retries that are not due yet', async () => {
+    const webhook = await insertWebhook();
+    await insertDelivery(webhook, { nextAttemptAt: new Date(Date.now() + 60 * SECOND_MS) });
+
+    assert.equal(await dispatchDue(), 0);
+    assert.equal(received.length, 0);
+  });
+
+  it('cancels deliveries of inactive webhooks', async () => {
+    const webhook = await insertWebhook({ active: false });
+    await insertDelivery(webhook);
+
+    await dispatchDue();
+
+    assert.equal(received.length, 0);
+    assert.equal(deliveries()[0].status, 'cancelled');
+  });
+
+  it('leaves the outcome of an attempt that was claimed again alone', async () => {
+    const webhook = await insertWebhook();
+    await insertDelivery(webhook);
+    // Another dispatcher takes the delivery over while this attempt runs.
+    respond = (res) => {
+      deliveries()[0].attempts += 1;
+      res.writeHead(200).end('late');
+    };
+
+    await dispatchDue();
+
+    const [stored] = deliveries();
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.attempts, 2);
+    assert.equal(stored.lastAttempt, undefined);
+  });
+});
+
+describe('replayDelivery', () => {
+  it('sends the payload again as a new delivery', async () => {
+    const webhook = await insertWebhook();
+    const original = await insertDelivery(webhook, { status: 'failed', attempts: 10 });
+
+    const replay = await replayDelivery(webhook, original);
+
+    assert.notEqual(replay._id.toString(), original._id.toString());
+    assert.equal(replay.payloadId, original.payloadId);
+    assert.equal(replay.body, original.body);
+    assert.ok(replay.replayOf.equals(original._id));
+    assert.equal(replay.status, 'pending');
+
+    await dispatchDue();
+    const stored = deliveries().find((doc) => doc._id.equals(replay._id));
+    assert.equal(stored.status, 'delivered');
+    assert.equal(received[0].headers['x-webhook-id'], replay._id.toString());
+    assert.equal(deliveries().find((doc) => doc._id.equals(original._id)).status, 'failed');
+  });
+});
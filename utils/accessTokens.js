@@ -0,0 +1,64 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+const { hashToken } = require('./tokens');
+const { toSessionUser, isSuspended } = require('./accounts');
+
+const TOKEN_PREFIX = 'pat_';
+
+// A scope grants reading (GET/HEAD) or writing (everything else) one area
+// of the API.
+const TOKEN_SCOPES = ['events:read', 'events:write', 'users:read', 'users:write'];
+
+const getTokens = () => mongodb.getDb().collection('access_tokens');
+const getUsers = () => mongodb.getDb().collection('users');
+
+const bearerChallenge = (res, error) =>
+  res.set('WWW-Authenticate', error ? `Bearer error="${error}"` : 'Bearer');
+
+// Authenticates `Authorization: Bearer <personal access token>`. A request
+// that sends a token is judged by it alone: an unknown or expired token is a
+// 401 even if a session cookie came along. The token's scopes are kept on
+// req.accessToken for requireScope.
+const authenticateBearer = async (req, res, next) => {
+  const header = req.get('Authorization');
+  if (!header || !/^Bearer\s/i.test(header)) {
+    return next();
+  }
+
+  const token = header.slice(header.indexOf(' ') + 1).trim();
+  const now = new Date();
+  const record = token.startsWith(TOKEN_PREFIX)
+    ? await getTokens().findOne({ tokenHash: hashToken(token) })
+    : null;
+
+  if (!record || (record.expiresAt && record.expiresAt <= now)) {
+    bearerChallenge(res, 'invalid_token');
+    throw new UnauthorizedError('The access token is invalid or has expired.');
+  }
+
+  const user = await getUsers().findOne({
+    _id: ObjectId.createFromHexString(record.userId),
+    deletedAt: null,
+  });
+  if (!user) {
+    bearerChallenge(res, 'invalid_token');
+    throw new UnauthorizedError('The access token is invalid or has expired.');
+  }
+  if (isSuspended(user)) {
+    throw new ForbiddenError('This account is suspended.');
+  }
+
+  await getTokens().updateOne({ _id: record._id }, { $set: { lastUsedAt: now } });
+
+  req.user = toSessionUser(user);
+  req.accessToken = { id: record._id.toString(), scopes: record.scopes };
+  return next();
+};
+
+module.exports = {
+  TOKEN_PREFIX,
+  TOKEN_SCOPES,
+  bearerChallenge,
+  authenticateBearer,
+};
@@ -0,0 +1,117 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { ROLES } = require('./authorization');
+const { verifyPassword } = require('./passwords');
+const { isDeleted } = require('./deletion');
+const { INITIAL_VERSION, BUMP_VERSION } = require('./versioning');
+
+const getUsers = () => mongodb.getDb().collection('users');
+
+// Emails are compared case-insensitively by storing them lower-cased.
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const isSuspended = (doc) => Boolean(doc && doc.suspendedAt);
+
+// What passport keeps in the session for a signed-in user.
+const toSessionUser = (doc) => ({
+  id: doc._id.toString(),
+  firstName: doc.firstName,
+  lastName: doc.lastName,
+  avatar: doc.avatar,
+  role: doc.role || ROLES.USER,
+});
+
+// The account behind a session, or null once it was deleted or suspended.
+const findActiveUser = async (id) => {
+  if (!ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const user = await getUsers().findOne({ _id: ObjectId.createFromHexString(id), deletedAt: null });
+  return user && !isSuspended(user) ? user : null;
+};
+
+// Google sign-in. An account is found by its Google id first, then by email
+// so a user who registered with a password gets the Google login linked to
+// the same account instead of a duplicate.
+//
+// Registration does not prove the address belongs to the registrant, so when
+// linking, a password is only kept if its owner has shown control of the
+// mailbox (by completing a password reset). Otherwise someone could register
+// a victim's address first and keep access after the victim signs in.
+//
+// A deleted account keeps its Google id and email until it is purged, so it
+// is returned as is and the caller refuses the sign-in.
+const findOrCreateGoogleUser = async (profile) => {
+  const users = getUsers();
+  const [profileEmail] = profile.emails;
+  const email = normalizeEmail(profileEmail.value);
+  const avatar = profile.photos && profile.photos[0] ? profile.photos[0].value : undefined;
+
+  const existing = await users.findOne({ googleId: profile.id });
+  if (existing) {
+    return existing;
+  }
+
+  if (profileEmail.verified !== false) {
+    const candidate = await users.findOne({ email, googleId: { $exists: false } });
+    if (isDeleted(candidate)) {
+      return candidate;
+    }
+    if (candidate) {
+      const update = { $set: { googleId: profile.id, emailVerifiedAt: new Date() }, ...BUMP_VERSION };
+      if (avatar && !candidate.avatar) {
+        update.$set.avatar = avatar;
+      }
+      if (candidate.password && !candidate.emailVerifiedAt) {
+        update.$unset = { password: '' };
+      }
+
+      const linked = await users.findOneAndUpdate(
+        { _id: candidate._id, googleId: { $exists: false } },
+        update,
+        { returnDocument: 'after' },
+      );
+      if (linked) {
+        return linked;
+      }
+    }
+  }
+
+  const doc = {
+    googleId: profile.id,
+    email,
+    firstName: profile.name.givenName,
+    lastName: profile.name.familyName,
+    avatar,
+    createdAt: new Date(),
+    role: ROLES.USER,
+    subscribetTo: [],
+    version: INITIAL_VERSION,
+  };
+  const result = await users.insertOne(doc);
+
+  return { ...doc, _id: result.insertedId };
+};
+
+// Email/password sign-in. Resolves the user document, or null when the
+// credentials do not match (including accounts that have no password or were
+// deleted).
+const findUserByCredentials = async (email, password) => {
+  const user = await getUsers().findOne({ email: normalizeEmail(email) });
+
+  if (!user || isDeleted(user) || !(await verifyPassword(password, user.password))) {
+    return null;
+  }
+
+  return user;
+};
+
+module.exports = {
+  normalizeEmail,
+  isSuspended,
+  toSessionUser,
+  findActiveUser,
+  findOrCreateGoogleUser,
+  findUserByCredentials,
+};
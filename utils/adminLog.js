@@ -0,0 +1,21 @@
+const mongodb = require('../db');
+
+const getCollection = () => mongodb.getDb().collection('admin_actions');
+
+// Records what an administrator did, to whom and why. `target` is
+// { type: 'user' | 'event', id }; `details` holds action-specific data such
+// as the reason given or a snapshot of what was removed.
+const recordAdminAction = (req, action, target, details = {}) =>
+  getCollection().insertOne({
+    adminId: req.user.id,
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    details,
+    requestId: req.id,
+    at: new Date(),
+  });
+
+module.exports = {
+  recordAdminAction,
+};
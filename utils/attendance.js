@@ -0,0 +1,119 @@
+const mongodb = require('../db');
+
+const RSVP_COLLECTION = 'rsvps';
+const RSVP_STATUSES = ['going', 'maybe', 'declined'];
+
+const getCollection = () => mongodb.getDb().collection(RSVP_COLLECTION);
+
+const emptyCounts = () => ({ going: 0, maybe: 0, declined: 0, waitlisted: 0 });
+
+// Map of event id -> RSVP counts by status. For recurring events the
+// counts cover every occurrence.
+const countAttendance = async (eventIds) => {
+  const counts = new Map(eventIds.map((id) => [id.toString(), emptyCounts()]));
+  if (!eventIds.length) {
+    return counts;
+  }
+
+  const rows = await getCollection().aggregate([
+    { $match: { eventId: { $in: eventIds } } },
+    { $group: { _id: { eventId: '$eventId', status: '$status' }, count: { $sum: 1 } } },
+  ]).toArray();
+
+  for (const row of rows) {
+    counts.get(row._id.eventId.toString())[row._id.status] = row.count;
+  }
+
+  return counts;
+};
+
+// Seats are checked after they are taken: the seats of an occurrence belong
+// to the first `capacity` going RSVPs by seatedAt (then _id), an order every
+// concurrent writer sees alike, and an RSVP beyond them has to give its seat
+// up. Going RSVPs from before seatedAt sort first.
+const hasSeat = async (event, occurrence, userId) => {
+  const seated = await getCollection()
+    .find({ eventId: event._id, occurrence, status: 'going' }, { projection: { userId: 1 } })
+    .sort({ seatedAt: 1, _id: 1 })
+    .limit(event.capacity)
+    .toArray();
+
+  return seated.some((rsvp) => rsvp.userId === userId);
+};
+
+// Moves the oldest waitlisted RSVPs of one occurrence (null for a single
+// event) to 'going' while seats are free. Returns the promoted user ids.
+const promoteWaitlisted = async (event, occurrence) => {
+  const promoted = [];
+  const scope = { eventId: event._id, occurrence };
+
+  for (;;) {
+    if (event.capacity) {
+      const going = await getCollection().countDocuments({ ...scope, status: 'going' });
+      if (going >= event.capacity) {
+        break;
+      }
+    }
+
+    const next = await getCollection().findOneAndUpdate(
+      { ...scope, status: 'waitlisted' },
+      {
+        $set: { status: 'going', seatedAt: new Date(), updatedAt: new Date() },
+        $unset: { waitlistedAt: '' },
+      },
+      { sort: { waitlistedAt: 1 } },
+    );
+    if (!next) {
+      break;
+    }
+
+    // A concurrent RSVP or promotion took the seat first: back to the same
+    // place on the waitlist.
+    if (event.capacity && !(await hasSeat(event, occurrence, next.userId))) {
+      await getCollection().updateOne(
+        { _id: next._id, status: 'going' },
+        { $set: { status: 'waitlisted', waitlistedAt: next.waitlistedAt }, $unset: { seatedAt: '' } },
+      );
+      break;
+    }
+    promoted.push(next.userId);
+  }
+
+  return promoted;
+};
+
+// Re-runs promotion for every occurrence that has a waitlist, e.g. after
+// the event capacity was raised.
+const promoteAllWaitlisted = async (event) => {
+  const occurrences = await getCollection().distinct('occurrence', {
+    eventId: event._id,
+    status: 'waitlisted',
+  });
+
+  for (const occurrence of occurrences) {
+    await promoteWaitlisted(event, occurrence);
+  }
+};
+
+// `occurrence` optionally narrows the deletion, e.g. to one cancelled
+// occurrence or to { $gte: date } when a series is cut short.
+const deleteAttendance = (eventId, occurrence) =>
+  getCollection().deleteMany(occurrence === undefined ? { eventId } : { eventId, occurrence });
+
+// Hands the RSVPs of occurrences from `since` onwards to the series that
+// continues `fromEventId` after a this-and-following split.
+const moveAttendance = (fromEventId, toEventId, since) =>
+  getCollection().updateMany(
+    { eventId: fromEventId, occurrence: { $gte: since } },
+    { $set: { eventId: toEventId } },
+  );
+
+module.exports = {
+  RSVP_STATUSES,
+  countAttendance,
+  hasSeat,
+  promoteWaitlisted,
+  promoteAllWaitlisted,
+  deleteAttendance,
+  moveAttendance,
+};
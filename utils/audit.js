@@ -0,0 +1,82 @@
+const { isDeepStrictEqual } = require('util');
+const mongodb = require('../db');
+
+// Fields whose values never go into the audit log; a change to them is still
+// recorded, with the values masked.
+const REDACTED_FIELDS = new Set(['password', 'calendarTokenHash']);
+const REDACTED = '[redacted]';
+
+const getCollection = () => mongodb.getDb().collection('audit_log');
+
+const redact = (field, value) =>
+  (REDACTED_FIELDS.has(field) && value !== undefined ? REDACTED : value);
+
+// Top-level fields that differ between two versions of a document, as
+// [{ field, before, after }]. A missing side (create/delete) counts as every
+// field changing from or to undefined. The version counter and the derived
+// seriesEnd are left out.
+const diffFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('_id');
+  fields.delete('version');
+  fields.delete('seriesEnd');
+
+  return [...fields]
+    .filter((field) => !isDeepStrictEqual((before || {})[field], (after || {})[field]))
+    .map((field) => ({
+      field,
+      before: redact(field, (before || {})[field]),
+      after: redact(field, (after || {})[field]),
+    }));
+};
+
+// Appends one entry to the audit log. `type` is 'event' or 'user', `action`
+// 'create', 'update', 'delete' or 'restore'; `before`/`after` are the stored
+// documents around the change (null when the document did not exist). `ownerId` is the
+// user whose data changed, so owners can read the history of their events
+// even after deleting them. `context` holds request details such as the
+// occurrence scope of an edit.
+const recordAudit = (req, { type, action, id, ownerId, before = null, after = null, context }) =>
+  getCollection().insertOne({
+    actorId: req.user.id,
+    tokenId: req.accessToken ? req.accessToken.id : null,
+    action: `${type}.${action}`,
+    targetType: type,
+    targetId: id.toString(),
+    ownerId: ownerId || null,
+    changes: diffFields(before, after),
+    context: context || null,
+    requestId: req.id,
+    at: new Date(),
+  });
+
+const auditEvent = (req, action, before, after, context) => {
+  const doc = after || before;
+  return recordAudit(req, {
+    type: 'event',
+    action,
+    id: doc._id,
+    ownerId: doc.ownerID,
+    before,
+    after,
+    context,
+  });
+};
+
+const auditUser = (req, action, before, after, context) => {
+  const doc = after || before;
+  return recordAudit(req, {
+    type: 'user',
+    action,
+    id: doc._id,
+    ownerId: doc._id.toString(),
+    before,
+    after,
+    context,
+  });
+};
+
+module.exports = {
+  auditEvent,
+  auditUser,
+};
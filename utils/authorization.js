@@ -0,0 +1,118 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError } = require('./errors');
+const { getSubscribedOwnerIds, canViewEvent } = require('./visibility');
+
+const ROLES = {
+  USER: 'user',
+  ADMIN: 'admin',
+};
+
+const isAdmin = (user) => Boolean(user) && user.role === ROLES.ADMIN;
+
+// Policies answer "may this user act on this resource?" and know nothing
+// about HTTP, so they can be reused outside of the router middleware.
+const policies = {
+  modifyEvent: (user, event) => isAdmin(user) || event.ownerID === user.id,
+  modifyUser: (user, targetUserId) => isAdmin(user) || targetUserId === user.id,
+};
+
+// For routes mounted outside the session-protected tree.
+const requireAuthentication = (req, res, next) => {
+  if (!req.isAuthenticated?.()) {
+    throw new UnauthorizedError();
+  }
+
+  return next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    throw new ForbiddenError('Only administrators may perform this action.');
+  }
+
+  return next();
+};
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Requests authenticated with a personal access token need `<area>:read` for
+// reads and `<area>:write` for anything else. Sessions carry every scope.
+const requireScope = (area) => (req, res, next) => {
+  if (!req.accessToken) {
+    return next();
+  }
+
+  const scope = `${area}:${READ_METHODS.has(req.method) ? 'read' : 'write'}`;
+  if (!req.accessToken.scopes.includes(scope)) {
+    throw new ForbiddenError(`The access token lacks the ${scope} scope.`);
+  }
+
+  return next();
+};
+
+// Account credentials (passwords, access tokens) are only managed from a
+// session, so a leaked token cannot be used to mint more or lock the owner out.
+const requireSession = (req, res, next) => {
+  if (req.accessToken) {
+    throw new ForbiddenError('This endpoint is not available to access tokens.');
+  }
+
+  return next();
+};
+
+const authorizeEventOwner = async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid event id format.');
+  }
+
+  const event = await mongodb.getDb().collection('events').findOne({
+    _id: ObjectId.createFromHexString(id),
+    deletedAt: null,
+  });
+
+  if (!event) {
+    throw new NotFoundError('Event not found.');
+  }
+
+  if (!policies.modifyEvent(req.user, event)) {
+    // Events the caller cannot see are reported as missing, like on reads,
+    // so a 403 does not give their existence away.
+    const subscribedOwnerIds = await getSubscribedOwnerIds(req.user.id);
+    if (!canViewEvent(event, req.user.id, subscribedOwnerIds)) {
+      throw new NotFoundError('Event not found.');
+    }
+    throw new ForbiddenError('Only the owner of this event may modify it.');
+  }
+
+  res.locals.event = event;
+  return next();
+};
+
+const authorizeUserSelf = (req, res, next) => {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid user id format.');
+  }
+
+  if (!policies.modifyUser(req.user, id)) {
+    throw new ForbiddenError('You may only modify your own account.');
+  }
+
+  return next();
+};
+
+module.exports = {
+  ROLES,
+  isAdmin,
+  policies,
+  requireAuthentication,
+  requireAdmin,
+  requireScope,
+  requireSession,
+  authorizeEventOwner,
+  authorizeUserSelf,
+};
@@ -0,0 +1,99 @@
+const { ObjectId } = require('mongodb');
+const { formatEvent } = require('./eventFormat');
+
+// In-process bus for changes to events and subscriptions. Handlers publish a
+// change once it is stored; listeners (webhooks, streams) react to it. A
+// listener that fails is logged and does not fail the request, which already
+// succeeded.
+const CHANGE_TYPES = [
+  'event.created',
+  'event.updated',
+  'event.deleted',
+  'event.restored',
+  'subscription.created',
+  'subscription.deleted',
+];
+
+// Recent changes are kept so stream clients can catch up after reconnecting.
+const HISTORY_SIZE = 1000;
+
+const listeners = new Set();
+const history = [];
+
+// Registers `listener(change)` and returns a function that removes it.
+const onChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// The changes published after the one with `id`, oldest first, or null when
+// it is no longer (or was never) in the history.
+const changesSince = (id) => {
+  const index = history.findIndex((change) => change.id === id);
+  return index === -1 ? null : history.slice(index + 1);
+};
+
+// What consumers outside the process get to see of a change.
+const toPayload = (change) => ({
+  id: change.id,
+  type: change.type,
+  createdAt: change.at.toISOString(),
+  data: change.data,
+});
+
+const publish = async (change) => {
+  history.push(change);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+
+  const results = await Promise.allSettled([...listeners].map((listener) => listener(change)));
+
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error(`[${change.requestId}] Handling ${change.type} failed:`, result.reason);
+    }
+  }
+};
+
+// A change carries `userIds`, the users it concerns, and `data`, its public
+// description. `event` keeps the stored document for listeners that need more
+// than the formatted view.
+const createChange = (req, type, userIds, data, event) => ({
+  id: new ObjectId().toString(),
+  type,
+  at: new Date(),
+  actorId: req.user.id,
+  requestId: req.id,
+  userIds,
+  data,
+  event,
+});
+
+// `doc` is the event as stored after the change (before it, for deletions);
+// `context` adds request details such as the occurrence scope of an edit.
+const publishEventChange = (req, action, doc, context) =>
+  publish(createChange(
+    req,
+    `event.${action}`,
+    [doc.ownerID],
+    { event: formatEvent(doc), ...context },
+    doc,
+  ));
+
+const publishSubscriptionChange = (req, action, subscriberId, targetId) =>
+  publish(createChange(
+    req,
+    `subscription.${action}`,
+    [subscriberId.toString(), targetId.toString()],
+    { subscriberId: subscriberId.toString(), targetId: targetId.toString() },
+  ));
+
+module.exports = {
+  CHANGE_TYPES,
+  onChange,
+  changesSince,
+  toPayload,
+  publishEventChange,
+  publishSubscriptionChange,
+};
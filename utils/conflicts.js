@@ -0,0 +1,123 @@
+const mongodb = require('../db');
+const { expandOccurrences, lastGeneratedStart } = require('./recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Unbounded series are only checked this far ahead.
+const CONFLICT_HORIZON_DAYS = 365;
+const MAX_CONFLICTS = 50;
+
+const getEvents = () => mongodb.getDb().collection('events');
+
+// 'strict' rejects overlaps, 'warn' reports them, null skips the check.
+const conflictModeOf = (query) => {
+  if (query.strict === 'true') {
+    return 'strict';
+  }
+  if (query.checkConflicts === 'true') {
+    return 'warn';
+  }
+  return null;
+};
+
+// A series is checked from now on (or from its first start, when that is
+// later): occurrences that are over cannot conflict any more.
+const seriesWindow = (event, now = new Date()) => {
+  if (!event.recurrence) {
+    return { from: event.datetime_start, to: event.datetime_end };
+  }
+
+  const from = event.datetime_start > now ? event.datetime_start : now;
+  const duration = event.datetime_end.getTime() - event.datetime_start.getTime();
+  const horizon = from.getTime() + CONFLICT_HORIZON_DAYS * DAY_MS;
+  const last = lastGeneratedStart(event);
+  const end = last ? Math.min(last.getTime() + duration, horizon) : horizon;
+
+  return { from, to: new Date(end) };
+};
+
+// Every occurrence of the owner's events overlapping [from, to), as
+// { event, occurrence } pairs sorted by start.
+const loadOwnerOccurrences = async (ownerId, from, to, excludeIds = []) => {
+  const events = await getEvents().find({
+    ownerID: ownerId,
+    _id: { $nin: excludeIds },
+    deletedAt: null,
+    datetime_start: { $lt: to },
+    $or: [
+      { recurrence: null, datetime_end: { $gt: from } },
+      { recurrence: { $ne: null } },
+    ],
+  }).toArray();
+
+  return events
+    .flatMap((event) => expandOccurrences(event, from, to).map((occurrence) => ({ event, occurrence })))
+    .sort((a, b) => a.occurrence.start - b.occurrence.start);
+};
+
+// Occurrences of the owner's other events that overlap any occurrence of
+// `candidate` (a stored or about-to-be-stored event document).
+const findConflicts = async (candidate, ownerId, excludeIds = []) => {
+  const { from, to } = seriesWindow(candidate);
+  const ownOccurrences = expandOccurrences(candidate, from, to);
+  if (!ownOccurrences.length) {
+    return [];
+  }
+
+  const others = await loadOwnerOccurrences(ownerId, from, to, excludeIds);
+  const conflicts = [];
+
+  for (const other of others) {
+    const overlapping = ownOccurrences.some(
+      (own) => own.start < other.occurrence.end && other.occurrence.start < own.end,
+    );
+    if (overlapping) {
+      conflicts.push(other);
+      if (conflicts.length >= MAX_CONFLICTS) {
+        break;
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+// Merges busy intervals and returns them together with the free gaps
+// between them inside [from, to).
+const buildFreeBusy = (intervals, from, to) => {
+  const busy = [];
+
+  for (const { start, end } of [...intervals].sort((a, b) => a.start - b.start)) {
+    const clippedStart = start < from ? from : start;
+    const clippedEnd = end > to ? to : end;
+    const last = busy[busy.length - 1];
+
+    if (last && clippedStart <= last.end) {
+      if (clippedEnd > last.end) {
+        last.end = clippedEnd;
+      }
+    } else {
+      busy.push({ start: clippedStart, end: clippedEnd });
+    }
+  }
+
+  const free = [];
+  let cursor = from;
+  for (const block of busy) {
+    if (block.start > cursor) {
+      free.push({ start: cursor, end: block.start });
+    }
+    cursor = block.end;
+  }
+  if (cursor < to) {
+    free.push({ start: cursor, end: to });
+  }
+
+  return { busy, free };
+};
+
+module.exports = {
+  conflictModeOf,
+  findConflicts,
+  loadOwnerOccurrences,
+  buildFreeBusy,
+};
@@ -0,0 +1,148 @@
+const mongodb = require('../db');
+const { promoteWaitlisted } = require('./attendance');
+const { BUMP_VERSION } = require('./versioning');
+
+// Deleted users and events keep their document, marked with `deletedAt`, for
+// a grace period in which they can be restored. Read paths filter them out
+// with `deletedAt: null`; the purge job removes them for good afterwards.
+const DELETION_GRACE_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getUsers = () => mongodb.getDb().collection('users');
+const getEvents = () => mongodb.getDb().collection('events');
+
+const isDeleted = (doc) => Boolean(doc && doc.deletedAt);
+
+const restorableUntil = (doc) => new Date(doc.deletedAt.getTime() + DELETION_GRACE_DAYS * DAY_MS);
+
+const isRestorable = (doc, now = new Date()) => isDeleted(doc) && restorableUntil(doc) > now;
+
+// Deleting an account deletes its live events along with it. They are
+// flagged so restoring the account brings back exactly those events, and not
+// ones the owner had deleted before. Resolves the events as they were.
+const deleteOwnerEvents = async (ownerId, deletedAt, deletedBy) => {
+  const filter = { ownerID: ownerId, deletedAt: null };
+  const events = await getEvents().find(filter).toArray();
+
+  await getEvents().updateMany(filter, {
+    $set: { deletedAt, deletedBy, deletedWithOwner: true },
+    ...BUMP_VERSION,
+  });
+
+  return events;
+};
+
+const restoreOwnerEvents = async (ownerId) => {
+  const filter = { ownerID: ownerId, deletedWithOwner: true };
+  const events = await getEvents().find(filter).toArray();
+
+  await getEvents().updateMany(filter, {
+    $unset: { deletedAt: '', deletedBy: '', deletedWithOwner: '' },
+    ...BUMP_VERSION,
+  });
+
+  return events;
+};
+
+// Withdraws RSVPs of `userId` (those matching `filter`); the seats they held
+// go to the waitlist.
+const withdrawRsvps = async (userId, filter = {}) => {
+  const rsvps = mongodb.getDb().collection('rsvps');
+  const going = await rsvps.find({ userId, status: 'going' }).toArray();
+
+  await rsvps.deleteMany({ userId, ...filter });
+
+  for (const rsvp of going) {
+    const event = await getEvents().findOne({ _id: rsvp.eventId, deletedAt: null });
+    if (event) {
+      await promoteWaitlisted(event, rsvp.occurrence);
+    }
+  }
+};
+
+// A deleted account gives up its seats and waitlist places right away rather
+// than holding them through the grace period. Restoring it does not bring
+// them back: the seats may be taken by then.
+const releaseUserSeats = (userId) => withdrawRsvps(userId, { status: { $in: ['going', 'waitlisted'] } });
+
+const purgeEvents = async (filter) => {
+  const ids = (await getEvents().find(filter).project({ _id: 1 }).toArray()).map((event) => event._id);
+  if (!ids.length) {
+    return 0;
+  }
+
+  await mongodb.getDb().collection('rsvps').deleteMany({ eventId: { $in: ids } });
+  await mongodb.getDb().collection('notifications').deleteMany({ eventId: { $in: ids } });
+  const result = await getEvents().deleteMany({ _id: { $in: ids } });
+  return result.deletedCount;
+};
+
+// Removes users and events whose grace period is over. A purged user takes
+// every event they owned with them and is dropped from other users'
+// subscription lists; their RSVPs are withdrawn and their reminders and
+// webhooks dropped. The audit log is kept.
+const purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - DELETION_GRACE_DAYS * DAY_MS);
+  const db = mongodb.getDb();
+  let events = await purgeEvents({ deletedAt: { $lte: cutoff } });
+
+  const users = await getUsers()
+    .find({ deletedAt: { $lte: cutoff } })
+    .project({ _id: 1 })
+    .toArray();
+
+  let purgedUsers = 0;
+  for (const { _id: userId } of users) {
+    const id = userId.toString();
+
+    // Guarded on deletedAt again in case the account was restored meanwhile.
+    const removed = await getUsers().deleteOne({ _id: userId, deletedAt: { $lte: cutoff } });
+    if (!removed.deletedCount) {
+      continue;
+    }
+
+    purgedUsers += 1;
+    events += await purgeEvents({ ownerID: id });
+    await withdrawRsvps(id);
+    await getUsers().updateMany(
+      { subscribetTo: userId },
+      { $pull: { subscribetTo: userId }, ...BUMP_VERSION },
+    );
+    await db.collection('subscription_requests').deleteMany({
+      $or: [{ requesterId: userId }, { targetId: userId }],
+    });
+    await db.collection('access_tokens').deleteMany({ userId: id });
+    await db.collection('password_resets').deleteMany({ userId });
+    await db.collection('notifications').deleteMany({ userId: id });
+    await db.collection('webhooks').deleteMany({ ownerId: id });
+    await db.collection('webhook_deliveries').deleteMany({ ownerId: id });
+  }
+
+  return { users: purgedUsers, events };
+};
+
+const startPurgeJob = () => {
+  const run = () => purgeExpired()
+    .then(({ users, events }) => {
+      if (users || events) {
+        console.log(`Purged ${users} deleted user(s) and ${events} deleted event(s).`);
+      }
+    })
+    .catch((err) => console.error('Purge of deleted records failed:', err));
+
+  run();
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  isDeleted,
+  restorableUntil,
+  isRestorable,
+  deleteOwnerEvents,
+  restoreOwnerEvents,
+  releaseUserSeats,
+  purgeExpired,
+  startPurgeJob,
+};
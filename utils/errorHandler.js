@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { HttpError, NotFoundError } = require('./errors');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+// Tags every request with an id, reusing a sane incoming X-Request-Id so
+// ids can be followed across proxies, and echoes it on the response.
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+};
+
+const sendProblem = (req, res, status, detail, extensions = {}) =>
+  res
+    .status(status)
+    .type('application/problem+json')
+    .json({
+      type: 'about:blank',
+      title: STATUS_CODES[status] || 'Error',
+      status,
+      detail,
+      instance: req.originalUrl,
+      requestId: req.id,
+      ...extensions,
+    });
+
+// Fallback for requests no route answered.
+const handleNotFound = (req, res, next) =>
+  next(new NotFoundError(`No route for ${req.method} ${req.path}.`));
+
+// RFC 7807 responses for every error that reaches Express. Client errors
+// raised by body parsing (malformed JSON, oversized bodies) keep their
+// status; anything unexpected is logged and reported as a bare 500.
+const handleErrors = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof HttpError) {
+    return sendProblem(req, res, err.status, err.message, err.extensions);
+  }
+
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500 && err.expose) {
+    return sendProblem(req, res, status, err.message);
+  }
+
+  console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed`, err);
+  return sendProblem(req, res, 500, 'An unexpected error occurred.');
+};
+
+module.exports = {
+  assignRequestId,
+  handleNotFound,
+  handleErrors,
+};
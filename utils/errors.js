@@ -1,179 +1,75 @@
-const { ObjectId } = require('mongodb');
+// Errors thrown from handlers and middleware. The central error handler in
+// utils/errorHandler.js turns them into problem+json responses; anything
+// else becomes a 500.
+class HttpError extends Error {
+  constructor(status, message, extensions = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.extensions = extensions;
+  }
+}
 
-class ValidationError extends Error {
+// 400. `details` lists the individual problems as { field, message }.
+class ValidationError extends HttpError {
   constructor(message, details = []) {
-    super(message);
+    super(400, message, details.length ? { details } : {});
     this.name = 'ValidationError';
     this.details = details;
   }
 }
 
-const validFieldTypes = [
-  "string",
-  "email",
-  "number",
-  "date",
-  "ownerId",
-  "options"
-]
-
-const parseDateField = (addErrMessage, field, value) => {
-  const date = new Date(value);
-
-  if (Number.isNaN(date.getTime())) {
-    addErrMessage(`${field.name} must be a valid date.`);
-    return;
-  }
-
-  return date;
-};
-
-const parseStringField = (addErrMessage, field, value) => {
-  if (typeof value !== 'string') {
-    addErrMessage(`${field.name} must be a string.`);
-    return;
-  }
-
-  const trimmed = value.trim();
-  if (!trimmed) {
-    addErrMessage(`${field.name} must be a non-empty string.`);
-    return;
-  }
-
-  return trimmed;
-};
-
-const parseEmailField = (addErrMessage, field, value) => {
-  if (typeof value !== 'string') {
-    addErrMessage(`${field.name} must be a string.`);
-    return;
-  }
-
-  const trimmed = value.trim();
-  if (!trimmed) {
-    addErrMessage(`${field.name} must be a non-empty email string.`);
-    return;
-  }
-
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(trimmed)) {
-    addErrMessage(`${field.name} must be a valid email address.`);
-    return;
-  }
-
-  return trimmed;
-};
-
-const parseNumberField = (addErrMessage, field, value) => {
-  const num = typeof value === 'number' ? value : Number(value);
-
-  if (Number.isNaN(num)) {
-    addErrMessage(`${field.name} must be a valid number.`);
-    return;
-  }
-
-  if (typeof field.min === 'number' && num < field.min) {
-    addErrMessage(`${field.name} must be greater than or equal to ${field.min}.`);
-    return;
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required.') {
+    super(401, message);
+    this.name = 'UnauthorizedError';
   }
+}
 
-  if (typeof field.max === 'number' && num > field.max) {
-    addErrMessage(`${field.name} must be less than or equal to ${field.max}.`);
-    return;
-  }
-
-  return num;
-};
-
-const parseOwnerId = (addErrMessage, field, value) => {
-  const ownerId = parseStringField(addErrMessage, field, value);
-  if (!ownerId) {
-    return;
-  }
-  if (typeof ObjectId === 'undefined' || !ObjectId.isValid(ownerId)) {
-    addErrMessage(`${field.name} must be a valid Mongo ObjectId string.`);
-    return;
+class ForbiddenError extends HttpError {
+  constructor(message = 'You may not perform this action.') {
+    super(403, message);
+    this.name = 'ForbiddenError';
   }
+}
 
-  return ownerId;
-};
-
-const parseOptionsField = (addErrMessage, field, value) => {
-  value = typeof value === 'string' ? value.trim() : value;
-  if (!field.options.includes(value)) {
-    addErrMessage(
-      field.name,
-      `${field.name} must be one of: ${field.options.join(', ')}.`
-    );
-    return;
+class NotFoundError extends HttpError {
+  constructor(message = 'Resource not found.') {
+    super(404, message);
+    this.name = 'NotFoundError';
   }
+}
 
-  return value;
-};
-
-const fieldParsers = {
-  string: parseStringField,
-  email: parseEmailField,
-  number: parseNumberField,
-  date: parseDateField,
-  ownerId: parseOwnerId,
-  options: parseOptionsField,
-};
-
-const validateUserPayload = (body, fields) => {
-  if (body && typeof body !== 'object') {
-    throw new ValidationError('Invalid user payload.', [
-      {
-        field: 'body',
-        message: 'Request body must be a JSON object.',
-      },
-    ]);
+class ConflictError extends HttpError {
+  constructor(message, extensions = {}) {
+    super(409, message, extensions);
+    this.name = 'ConflictError';
   }
+}
 
-  const errors = []; // [{field: string, message: string}]
-  const data = {}
-  
-  for (let field of fields) {
-    if (!validFieldTypes.includes(field.type)) {
-      errors.push({
-        field: field.name,
-        mesage: `Invalid type: "${field.type}".`
-      })
-      continue
-    }
-    if (field.type === "options" && Array.isArray(field.options) && field.options.length === 0) {
-      errors.push({
-        field: field.name,
-        message: `"Options" are requred.`
-      })
-      continue
-    }
-    const value = body[field.name]
-    if ((value === undefined || value === null) && field.required) {
-      errors.push({
-        field: field.name,
-        message: `${field.name} is required.`
-      })
-      continue
-    }
-    if (!(value === undefined || value === null)) {
-      data[field.name] = fieldParsers[field.type](
-        (msg) => errors.push({field: field.name, message: msg}),
-        field,
-        value
-      )
-    }
+// 412. The If-Match precondition of a write did not hold.
+class PreconditionFailedError extends HttpError {
+  constructor(message = 'The resource has changed since it was read; fetch it again and retry.') {
+    super(412, message);
+    this.name = 'PreconditionFailedError';
   }
+}
 
-  if (errors.length) {
-    throw new ValidationError('Invalid user payload.', errors);
+// 503. A service the request depends on (such as the geocoder) failed.
+class ServiceUnavailableError extends HttpError {
+  constructor(message = 'The service is temporarily unavailable; try again later.') {
+    super(503, message);
+    this.name = 'ServiceUnavailableError';
   }
-
-  return data;
-};
-
+}
 
 module.exports = {
-  validateUserPayload, ValidationError
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  ServiceUnavailableError,
 };
-
@@ -0,0 +1,75 @@
+const { formatInstant } = require('./timezones');
+
+const formatRecurrence = (recurrence, timeZone) => ({
+  freq: recurrence.freq,
+  interval: recurrence.interval,
+  byDay: recurrence.byDay,
+  count: recurrence.count,
+  exdates: (recurrence.exdates || []).map((date) => formatInstant(date, timeZone)),
+});
+
+const formatException = (exception, timeZone) => ({
+  ...exception,
+  originalStart: formatInstant(exception.originalStart, timeZone),
+  datetime_start: exception.datetime_start && formatInstant(exception.datetime_start, timeZone),
+  datetime_end: exception.datetime_end && formatInstant(exception.datetime_end, timeZone),
+});
+
+// Events stored before locations were structured only carry googlePoint, an
+// unchecked place reference; it is reported as the place id.
+const formatLocation = (doc) => {
+  if (doc.location) {
+    return {
+      placeId: doc.location.placeId || null,
+      address: doc.location.address || null,
+      point: doc.location.point || null,
+    };
+  }
+  return doc.googlePoint ? { placeId: doc.googlePoint, address: null, point: null } : null;
+};
+
+// What to show people for a location: the address, else the place id.
+const describeLocation = (doc) => {
+  const location = formatLocation(doc);
+  return location && (location.address || location.placeId);
+};
+
+// `attendance` holds the RSVP counts by status, when the caller loaded them.
+// `timeZone` is the zone to render times in (UTC when omitted); the event's
+// own zone is reported separately.
+const formatEvent = (doc, attendance, timeZone) => ({
+  id: doc._id.toString(),
+  ownerID: doc.ownerID,
+  visibility: doc.visibility,
+  location: formatLocation(doc),
+  description: doc.description,
+  timeZone: doc.timeZone || 'UTC',
+  datetime_start: formatInstant(doc.datetime_start, timeZone),
+  datetime_end: formatInstant(doc.datetime_end, timeZone),
+  recurrence: doc.recurrence ? formatRecurrence(doc.recurrence, timeZone) : null,
+  repeatUntil: doc.repeatUntil ? formatInstant(doc.repeatUntil, timeZone) : null,
+  exceptions: (doc.exceptions || []).map((exception) => formatException(exception, timeZone)),
+  capacity: doc.capacity || null,
+  reminders: doc.reminders || [],
+  attendance,
+});
+
+const formatOccurrence = (doc, occurrence, timeZone) => ({
+  eventId: doc._id.toString(),
+  ownerID: doc.ownerID,
+  visibility: doc.visibility,
+  description: doc.description,
+  timeZone: doc.timeZone || 'UTC',
+  ...occurrence.overrides,
+  location: formatLocation({ ...doc, ...occurrence.overrides }),
+  originalStart: formatInstant(occurrence.originalStart, timeZone),
+  isException: Boolean(occurrence.isException),
+  datetime_start: formatInstant(occurrence.start, timeZone),
+  datetime_end: formatInstant(occurrence.end, timeZone),
+});
+
+module.exports = {
+  describeLocation,
+  formatEvent,
+  formatOccurrence,
+};
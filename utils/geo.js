@@ -0,0 +1,92 @@
+// Event locations store their position as a GeoJSON Point under
+// location.point, indexed 2dsphere. GeoJSON lists longitude first; query
+// parameters take latitude first, as maps usually show them.
+const EARTH_RADIUS_M = 6371008.8;
+const LOCATION_FIELD = 'location.point';
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+const parseNumbers = (value, count) => {
+  const parts = String(value).split(',');
+  if (parts.length !== count || parts.some((part) => !part.trim())) {
+    return null;
+  }
+  return parts.map(Number);
+};
+
+// "lat,lng" -> { lat, lng }, or null when malformed or out of range.
+const parseLatLng = (value) => {
+  const numbers = parseNumbers(value, 2);
+  if (!numbers) {
+    return null;
+  }
+
+  const [lat, lng] = numbers;
+  return isLatitude(lat) && isLongitude(lng) ? { lat, lng } : null;
+};
+
+// "south,west,north,east" (the south-west then the north-east corner) ->
+// { south, west, north, east }, or null. Boxes across the antimeridian and
+// boxes wider than half the globe are not supported.
+const parseBounds = (value) => {
+  const numbers = parseNumbers(value, 4);
+  if (!numbers) {
+    return null;
+  }
+
+  const [south, west, north, east] = numbers;
+  const valid = isLatitude(south) && isLatitude(north) && isLongitude(west) && isLongitude(east) &&
+    south < north && west < east && east - west < 180;
+  return valid ? { south, west, north, east } : null;
+};
+
+const isPoint = (point) => Boolean(point) &&
+  point.type === 'Point' &&
+  Array.isArray(point.coordinates) &&
+  point.coordinates.length === 2 &&
+  isLongitude(point.coordinates[0]) &&
+  isLatitude(point.coordinates[1]);
+
+const toPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// Mongo filters on the event location. $geoWithin (unlike $near) leaves the
+// sort order alone, so they combine with the usual sorting and paging.
+const withinRadius = (center, radius) => ({
+  [LOCATION_FIELD]: {
+    $geoWithin: { $centerSphere: [[center.lng, center.lat], radius / EARTH_RADIUS_M] },
+  },
+});
+
+const withinBounds = ({ south, west, north, east }) => ({
+  [LOCATION_FIELD]: {
+    $geoWithin: {
+      $geometry: {
+        type: 'Polygon',
+        coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+      },
+    },
+  },
+});
+
+// Great-circle distance in meters between { lat, lng } and a GeoJSON point.
+const distanceTo = (from, point) => {
+  const [lng, lat] = point.coordinates;
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat - from.lat);
+  const dLng = toRadians(lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  parseLatLng,
+  parseBounds,
+  isPoint,
+  toPoint,
+  withinRadius,
+  withinBounds,
+  distanceTo,
+};
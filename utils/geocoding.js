@@ -0,0 +1,128 @@
+const fs = require('fs');
+const { ValidationError, ServiceUnavailableError } = require('./errors');
+const { toPoint } = require('./geo');
+
+// Place ids and addresses are turned into coordinates by one provider,
+// picked with GEOCODER:
+//   stub    (default) looks them up in a fixed list of places, read from
+//           GEOCODER_FILE (a JSON array of { placeId, address, lat, lng });
+//           without the file nothing is found
+//   google  uses the Google Geocoding API with GOOGLE_MAPS_API_KEY
+// A provider has lookupPlace(placeId) and geocode(address), both resolving
+// { placeId, address, lat, lng } or null when nothing matches. Other
+// providers can be added with registerProvider.
+const DEFAULT_PROVIDER = 'stub';
+const GOOGLE_GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+const REQUEST_TIMEOUT_MS = 5 * 1000;
+
+const providers = new Map();
+let active;
+
+const registerProvider = (name, create) => {
+  providers.set(name, create);
+  if (active && active.name === name) {
+    active = undefined;
+  }
+};
+
+const normalizeAddress = (address) => address.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Answers from `places` only; addresses match regardless of case and spacing.
+const createStubProvider = (places = []) => ({
+  lookupPlace: async (placeId) => places.find((place) => place.placeId === placeId) || null,
+  geocode: async (address) => places.find((place) =>
+    place.address && normalizeAddress(place.address) === normalizeAddress(address)) || null,
+});
+
+registerProvider('stub', ({ GEOCODER_FILE }) =>
+  createStubProvider(GEOCODER_FILE ? JSON.parse(fs.readFileSync(GEOCODER_FILE, 'utf8')) : []));
+
+registerProvider('google', ({ GOOGLE_MAPS_API_KEY }) => {
+  if (!GOOGLE_MAPS_API_KEY) {
+    throw new Error('GEOCODER=google needs GOOGLE_MAPS_API_KEY.');
+  }
+
+  const request = async (params) => {
+    const url = new URL(GOOGLE_GEOCODE_URL);
+    url.search = new URLSearchParams({ ...params, key: GOOGLE_MAPS_API_KEY }).toString();
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Geocoding API answered ${response.status}.`);
+    }
+
+    const body = await response.json();
+    // An unknown place id is reported as INVALID_REQUEST or NOT_FOUND.
+    if (['ZERO_RESULTS', 'NOT_FOUND', 'INVALID_REQUEST'].includes(body.status)) {
+      return null;
+    }
+    if (body.status !== 'OK') {
+      throw new Error(`Geocoding API answered ${body.status}${body.error_message ? `: ${body.error_message}` : ''}.`);
+    }
+
+    const [result] = body.results;
+    return {
+      placeId: result.place_id,
+      address: result.formatted_address,
+      lat: result.geometry.location.lat,
+      lng: result.geometry.location.lng,
+    };
+  };
+
+  return {
+    lookupPlace: (placeId) => request({ place_id: placeId }),
+    geocode: (address) => request({ address }),
+  };
+});
+
+const getProvider = () => {
+  if (!active) {
+    const name = process.env.GEOCODER || DEFAULT_PROVIDER;
+    const create = providers.get(name);
+    if (!create) {
+      throw new Error(`Unknown GEOCODER "${name}".`);
+    }
+    active = { name, provider: create(process.env) };
+  }
+  return active.provider;
+};
+
+// Completes a validated location ({ placeId?, address?, point? }). A point
+// sent by the client is kept as it is; otherwise the place id, or the
+// address, is looked up and the answer fills in what the client left out.
+// `field` names the location in validation errors.
+const resolveLocation = async (location, field = 'location') => {
+  if (location.point) {
+    return location;
+  }
+
+  let place;
+  try {
+    const provider = getProvider();
+    place = location.placeId
+      ? await provider.lookupPlace(location.placeId)
+      : await provider.geocode(location.address);
+  } catch (err) {
+    console.error('Geocoding failed:', err);
+    throw new ServiceUnavailableError(`Locations cannot be looked up right now; try again later or send ${field}.point.`);
+  }
+
+  if (!place) {
+    throw new ValidationError('Invalid location.', [
+      { field, message: `${field} could not be found.` },
+    ]);
+  }
+
+  const resolved = {
+    placeId: location.placeId || place.placeId,
+    address: location.address || place.address,
+    point: toPoint(place),
+  };
+  return Object.fromEntries(Object.entries(resolved).filter(([, value]) => value !== undefined));
+};
+
+module.exports = {
+  registerProvider,
+  createStubProvider,
+  resolveLocation,
+};
@@ -0,0 +1,440 @@
+const { lastGeneratedStart, WEEKDAYS } = require('./recurrence');
+const { isValidTimeZone, zonedTimeToUtc, toWallClock } = require('./timezones');
+const { describeLocation } = require('./eventFormat');
+
+const PRODUCT_ID = '-//personal-assignment-05//Event Scheduler//EN';
+const UID_DOMAIN = 'personal-assignment-05';
+const MAX_LINE_OCTETS = 75;
+
+const formatDateTime = (date) =>
+  date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Events in UTC are written in UTC form. Other events carry their TZID so
+// that clients expand the RRULE on the same wall clock as the server; the
+// IANA name is used as-is, without a VTIMEZONE block.
+const dateTimeProperty = (name, dates, timeZone) => {
+  if (!timeZone || timeZone === 'UTC') {
+    return `${name}:${dates.map(formatDateTime).join(',')}`;
+  }
+
+  const local = dates.map((date) => formatDateTime(toWallClock(date, timeZone)).slice(0, -1));
+  return `${name};TZID=${timeZone}:${local.join(',')}`;
+};
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 3.1: lines longer than 75 octets are folded with CRLF + space.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const buildRRule = (event) => {
+  const rule = event.recurrence;
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+
+  if (rule.interval && rule.interval !== 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay && rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  }
+  // COUNT and UNTIL may not be combined; when both bound the series the
+  // last generated start is emitted as UNTIL instead.
+  if (rule.count && event.repeatUntil) {
+    parts.push(`UNTIL=${formatDateTime(lastGeneratedStart(event))}`);
+  } else if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  } else if (event.repeatUntil) {
+    parts.push(`UNTIL=${formatDateTime(event.repeatUntil)}`);
+  }
+
+  return parts.join(';');
+};
+
+// Imported events keep the UID they came with, so calendars that hold the
+// original recognise the export as the same event.
+const eventUid = (event) => event.icalUID || `${event._id.toString()}@${UID_DOMAIN}`;
+
+const summaryOf = (description) => String(description).split(/\r?\n/)[0];
+
+const commonLines = (event, fields) => {
+  const lines = [];
+
+  if (fields.description) {
+    lines.push(`SUMMARY:${escapeText(summaryOf(fields.description))}`);
+    lines.push(`DESCRIPTION:${escapeText(fields.description)}`);
+  }
+  const location = describeLocation(fields);
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (fields.location && fields.location.point) {
+    const [lng, lat] = fields.location.point.coordinates;
+    lines.push(`GEO:${lat};${lng}`);
+  }
+  lines.push(`CLASS:${event.visibility === 'public' ? 'PUBLIC' : 'PRIVATE'}`);
+
+  return lines;
+};
+
+// A stored event becomes one master VEVENT plus one VEVENT per overridden
+// occurrence (linked through RECURRENCE-ID). Cancellations become EXDATEs.
+const serializeEvent = (event, stamp = new Date()) => {
+  const uid = eventUid(event);
+  const duration = event.datetime_end.getTime() - event.datetime_start.getTime();
+  const exceptions = event.exceptions || [];
+  const master = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    dateTimeProperty('DTSTART', [event.datetime_start], event.timeZone),
+    dateTimeProperty('DTEND', [event.datetime_end], event.timeZone),
+    ...commonLines(event, event),
+  ];
+
+  if (event.recurrence) {
+    master.push(`RRULE:${buildRRule(event)}`);
+
+    const exdates = [
+      ...(event.recurrence.exdates || []),
+      ...exceptions.filter((exception) => exception.cancelled).map((exception) => exception.originalStart),
+    ];
+    if (exdates.length) {
+      master.push(dateTimeProperty('EXDATE', exdates, event.timeZone));
+    }
+  }
+  master.push('END:VEVENT');
+
+  const overrides = event.recurrence
+    ? exceptions.filter((exception) => !exception.cancelled)
+    : [];
+
+  return overrides.reduce((lines, exception) => {
+    const start = exception.datetime_start || exception.originalStart;
+    const end = exception.datetime_end || new Date(start.getTime() + duration);
+
+    return lines.concat([
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${formatDateTime(stamp)}`,
+      dateTimeProperty('RECURRENCE-ID', [exception.originalStart], event.timeZone),
+      dateTimeProperty('DTSTART', [start], event.timeZone),
+      dateTimeProperty('DTEND', [end], event.timeZone),
+      ...commonLines(event, { ...event, ...exception }),
+      'END:VEVENT',
+    ]);
+  }, master);
+};
+
+const serializeCalendar = (events, { name } = {}) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  for (const event of events) {
+    lines.push(...serializeEvent(event, stamp));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const DATE_VALUE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DURATION_VALUE = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+const SUPPORTED_RRULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL', 'WKST'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Splits "NAME;PARAM=a;PARAM2="b:c":value" at the first colon outside quotes.
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+  if (separator === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...value] = param.split('=');
+    params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+};
+
+// Returns the property lists of every top-level VEVENT. Nested components
+// such as VALARM are skipped; VTIMEZONE blocks are not needed because TZID
+// values are resolved as IANA zone names.
+const parseVEvents = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+
+    const value = property.value.trim().toUpperCase();
+    if (property.name === 'BEGIN') {
+      if (current) {
+        nested++;
+      } else if (value === 'VEVENT') {
+        current = {};
+      }
+      continue;
+    }
+    if (property.name === 'END') {
+      if (nested) {
+        nested--;
+      } else if (current && value === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (current && !nested) {
+      (current[property.name] = current[property.name] || []).push(property);
+    }
+  }
+
+  return events;
+};
+
+const parseDateString = (value, params = {}) => {
+  const match = DATE_VALUE.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid date value "${value}".`);
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+  };
+  const timeZone = params.TZID && params.TZID.replace(/^\//, '');
+
+  if (!utc && timeZone) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Unknown time zone "${params.TZID}".`);
+    }
+    return zonedTimeToUtc(fields, timeZone);
+  }
+
+  // UTC values, and floating times without a zone, are read as UTC.
+  return new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second));
+};
+
+const parseDuration = (value) => {
+  const match = DURATION_VALUE.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}".`);
+  }
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 3600
+    + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+
+  return sign === '-' ? -ms : ms;
+};
+
+const firstValue = (vevent, name) => vevent[name] && vevent[name][0];
+
+// A date-only UNTIL includes that whole day, and one without "Z" is wall-clock
+// time, both in the time zone of the event.
+const parseUntil = (value, timeZone) => {
+  const date = /^(\d{4})(\d{2})(\d{2})$/.exec(value.trim());
+  if (!date) {
+    return parseDateString(value, timeZone ? { TZID: timeZone } : {});
+  }
+
+  const [year, month, day] = date.slice(1).map(Number);
+  const nextDay = zonedTimeToUtc({ year, month, day: day + 1 }, timeZone || 'UTC');
+  return new Date(nextDay.getTime() - 1);
+};
+
+const parseRRule = (value, timeZone) => {
+  const parts = {};
+  for (const part of value.split(';')) {
+    const [key, partValue = ''] = part.split('=');
+    parts[key.toUpperCase()] = partValue;
+  }
+
+  const unsupported = Object.keys(parts).filter((key) => !SUPPORTED_RRULE_PARTS.includes(key));
+  if (unsupported.length) {
+    throw new Error(`Unsupported RRULE parts: ${unsupported.join(', ')}.`);
+  }
+
+  const recurrence = { freq: (parts.FREQ || '').toLowerCase() };
+  if (parts.INTERVAL) {
+    recurrence.interval = Number(parts.INTERVAL);
+  }
+  if (parts.BYDAY) {
+    recurrence.byDay = parts.BYDAY.split(',');
+    const invalid = recurrence.byDay.filter((day) => !WEEKDAYS.includes(day));
+    if (invalid.length) {
+      throw new Error(`Unsupported BYDAY values: ${invalid.join(', ')}.`);
+    }
+  }
+  if (parts.COUNT) {
+    recurrence.count = Number(parts.COUNT);
+  }
+
+  return {
+    recurrence,
+    repeatUntil: parts.UNTIL ? parseUntil(parts.UNTIL, timeZone).toISOString() : undefined,
+  };
+};
+
+const VISIBILITY_BY_CLASS = {
+  PUBLIC: 'public',
+  PRIVATE: 'private',
+  CONFIDENTIAL: 'private',
+};
+
+// Maps one VEVENT onto the request-body shape accepted by the events API.
+// Values stay strings where the API takes strings, so the result can go
+// through the same payload validation as a regular POST /events.
+const mapVEvent = (vevent) => {
+  const uid = firstValue(vevent, 'UID');
+  const recurrenceId = firstValue(vevent, 'RECURRENCE-ID');
+  const status = firstValue(vevent, 'STATUS');
+  const item = {
+    uid: uid ? uid.value.trim() : null,
+    recurrenceId: null,
+    cancelled: Boolean(status && status.value.trim().toUpperCase() === 'CANCELLED'),
+  };
+
+  try {
+    if (recurrenceId) {
+      item.recurrenceId = parseDateString(recurrenceId.value, recurrenceId.params);
+    }
+
+    const payload = {};
+    const description = firstValue(vevent, 'DESCRIPTION') || firstValue(vevent, 'SUMMARY');
+    if (description) {
+      payload.description = unescapeText(description.value);
+    }
+
+    // LOCATION is free text, so it becomes the address; GEO places it.
+    const location = firstValue(vevent, 'LOCATION');
+    const geo = firstValue(vevent, 'GEO');
+    if (location || geo) {
+      payload.location = {};
+    }
+    if (location) {
+      payload.location.address = unescapeText(location.value);
+    }
+    if (geo) {
+      const [lat, lng] = geo.value.split(';').map(Number);
+      payload.location.point = { type: 'Point', coordinates: [lng, lat] };
+    }
+
+    const classification = firstValue(vevent, 'CLASS');
+    if (classification) {
+      payload.visibility = VISIBILITY_BY_CLASS[classification.value.trim().toUpperCase()] || 'private';
+    }
+
+    const dtstart = firstValue(vevent, 'DTSTART');
+    if (dtstart) {
+      const allDay = dtstart.params.VALUE === 'DATE' || /^\d{8}$/.test(dtstart.value.trim());
+      const start = parseDateString(dtstart.value, dtstart.params);
+      const dtend = firstValue(vevent, 'DTEND');
+      const duration = firstValue(vevent, 'DURATION');
+      let end = allDay ? new Date(start.getTime() + DAY_MS) : start;
+
+      if (dtend) {
+        end = parseDateString(dtend.value, dtend.params);
+      } else if (duration) {
+        end = new Date(start.getTime() + parseDuration(duration.value));
+      }
+
+      payload.datetime_start = start.toISOString();
+      payload.datetime_end = end.toISOString();
+
+      const timeZone = dtstart.params.TZID && dtstart.params.TZID.replace(/^\//, '');
+      if (timeZone && !recurrenceId) {
+        payload.timeZone = timeZone;
+      }
+    }
+
+    const rrule = firstValue(vevent, 'RRULE');
+    if (rrule) {
+      const { recurrence, repeatUntil } = parseRRule(rrule.value, payload.timeZone);
+      const exdates = (vevent.EXDATE || []).flatMap((exdate) =>
+        exdate.value.split(',').map((value) => parseDateString(value, exdate.params).toISOString()));
+
+      payload.recurrence = exdates.length ? { ...recurrence, exdates } : recurrence;
+      if (repeatUntil) {
+        payload.repeatUntil = repeatUntil;
+      }
+    }
+
+    item.payload = payload;
+  } catch (error) {
+    item.error = error.message;
+  }
+
+  return item;
+};
+
+const parseCalendar = (text) => {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Document is not an iCalendar file.');
+  }
+
+  return parseVEvents(text).map(mapVEvent);
+};
+
+module.exports = {
+  serializeCalendar,
+  parseCalendar,
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+
+// Outgoing messages ({ to, subject, text, sensitive }) go through one
+// transport, picked with MAIL_TRANSPORT:
+//   console  (default) writes them to the server log
+//   file     appends them as JSON lines to MAIL_FILE (default mail.log)
+//   smtp     sends them through SMTP_URL, from MAIL_FROM
+// Other transports can be added with registerTransport. console and file keep
+// mail on this machine, so they are for development only: with
+// NODE_ENV=production, MAIL_TRANSPORT has to name one that delivers.
+const DEFAULT_TRANSPORT = 'console';
+const DEFAULT_MAIL_FILE = 'mail.log';
+const DEFAULT_FROM = 'Events <no-reply@localhost>';
+const LOCAL_TRANSPORTS = new Set(['console', 'file']);
+
+const transports = new Map();
+let active;
+
+const registerTransport = (name, create) => {
+  transports.set(name, create);
+};
+
+// Sensitive mail (e.g. a password reset link) is kept on this machine
+// without its text.
+const localText = (message) => (message.sensitive ? '[text withheld: sensitive message]' : message.text);
+
+registerTransport('console', () => ({
+  send: async (message) => {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${localText(message)}`);
+  },
+}));
+
+registerTransport('file', ({ MAIL_FILE = DEFAULT_MAIL_FILE }) => ({
+  send: (message) => fs.promises.appendFile(
+    MAIL_FILE,
+    `${JSON.stringify({ ...message, text: localText(message), at: new Date().toISOString() })}\n`,
+  ),
+}));
+
+registerTransport('smtp', ({ SMTP_URL, MAIL_FROM = DEFAULT_FROM }) => {
+  if (!SMTP_URL) {
+    throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL.');
+  }
+
+  // Loaded here so the other transports work without nodemailer installed.
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(SMTP_URL);
+
+  return {
+    send: ({ sensitive, ...message }) => transporter.sendMail({ from: MAIL_FROM, ...message }),
+  };
+});
+
+const transportName = ({ MAIL_TRANSPORT, NODE_ENV }) => {
+  if (NODE_ENV !== 'production') {
+    return MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+  }
+  if (!MAIL_TRANSPORT) {
+    throw new Error('MAIL_TRANSPORT must be set in production.');
+  }
+  if (LOCAL_TRANSPORTS.has(MAIL_TRANSPORT)) {
+    throw new Error(`MAIL_TRANSPORT=${MAIL_TRANSPORT} does not deliver mail and cannot be used in production.`);
+  }
+  return MAIL_TRANSPORT;
+};
+
+// Also called at startup, so a mail setup that cannot work stops the server
+// instead of failing every send.
+const getTransport = () => {
+  if (!active) {
+    const name = transportName(process.env);
+    const create = transports.get(name);
+    if (!create) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}".`);
+    }
+    active = create(process.env);
+  }
+  return active;
+};
+
+// Resolves once the transport accepted the message; rejects when it did not,
+// so callers decide whether to retry.
+const sendMail = async (message) => getTransport().send(message);
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail,
+};
@@ -0,0 +1,30 @@
+// JSON Merge Patch (RFC 7396): objects merge key by key, null removes a key,
+// any other value (arrays included) replaces what was there.
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+};
+
+const pick = (doc, fields) =>
+  Object.fromEntries(fields.filter((field) => doc[field] !== undefined).map((field) => [field, doc[field]]));
+
+module.exports = {
+  isPlainObject,
+  applyMergePatch,
+  pick,
+};
@@ -0,0 +1,48 @@
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque to clients: base64url-encoded JSON holding the sort
+// value and id of the last item on the previous page.
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+// ObjectId.isValid also accepts 12-character strings and numbers, which
+// createFromHexString then rejects; cursor ids must be 24 hex digits.
+const OBJECT_ID_HEX = /^[0-9a-f]{24}$/i;
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded !== 'object' || !('v' in decoded) ||
+      typeof decoded.id !== 'string' || !OBJECT_ID_HEX.test(decoded.id)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keyset condition selecting the documents after (`direction` 1) or before
+// (`direction` -1) the cursor position, with _id as the tiebreaker.
+const buildCursorFilter = (field, direction, value, id) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  const objectId = ObjectId.createFromHexString(id);
+
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: objectId } },
+    ],
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Passwords are stored as "salt:hash" (both hex), hashed with scrypt.
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+
+  const [salt, hash] = stored.split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  if (!expected.length) {
+    return false;
+  }
+
+  const actual = await scrypt(password, salt, expected.length);
+
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+};
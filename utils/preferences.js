@@ -0,0 +1,27 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+
+const USERS_COLLECTION = 'users';
+
+// Zone that response times are rendered in: the `tz` query parameter wins
+// over the viewer's stored `timeZone` preference. Undefined means UTC.
+// Callers validate `tz` themselves.
+const getDisplayTimeZone = async (req) => {
+  if (req.query.tz) {
+    return req.query.tz;
+  }
+  if (!req.user || !ObjectId.isValid(req.user.id)) {
+    return undefined;
+  }
+
+  const user = await mongodb.getDb().collection(USERS_COLLECTION).findOne(
+    { _id: ObjectId.createFromHexString(req.user.id) },
+    { projection: { timeZone: 1 } },
+  );
+
+  return (user && user.timeZone) || undefined;
+};
+
+module.exports = {
+  getDisplayTimeZone,
+};
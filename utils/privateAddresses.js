@@ -0,0 +1,91 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses outgoing requests made on behalf of users (webhook deliveries)
+// may not reach: this host, private networks, link-local addresses (cloud
+// metadata endpoints live at 169.254.169.254) and other special ranges.
+// WEBHOOK_ALLOW_PRIVATE=1 lifts the check, e.g. for scripts/webhook-receiver.js.
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blocked = new net.BlockList();
+for (const [address, prefix, family] of PRIVATE_RANGES) {
+  blocked.addSubnet(address, prefix, family);
+}
+
+const allowsPrivateAddresses = () => process.env.WEBHOOK_ALLOW_PRIVATE === '1';
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4.
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return blocked.check(mapped[1], 'ipv4');
+  }
+  return blocked.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const refusal = (hostname, address) => {
+  const error = new Error(`Refused to connect to ${hostname} (${address}): private or local address.`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+};
+
+// Throws for a URL whose host is a literal private address or localhost;
+// names are checked when they are resolved (see guardedLookup).
+const assertPublicHost = (url) => {
+  if (allowsPrivateAddresses()) {
+    return;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    throw refusal(hostname, 'loopback');
+  }
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw refusal(hostname, hostname);
+  }
+};
+
+// A `lookup` for http.request that refuses private addresses. The check runs
+// on the addresses the connection is then made to, so a name that resolves
+// differently between a check and the request cannot get through.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const denied = !allowsPrivateAddresses() &&
+      addresses.find(({ address }) => isPrivateAddress(address));
+    if (denied) {
+      return callback(refusal(hostname, denied.address));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  allowsPrivateAddresses,
+  isPrivateAddress,
+  assertPublicHost,
+  guardedLookup,
+};
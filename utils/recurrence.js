@@ -0,0 +1,335 @@
+const { toWallClock, fromWallClock } = require('./timezones');
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Upper bound on generated candidates per series, so a malformed or very
+// old daily series cannot keep a request busy forever.
+const MAX_ITERATIONS = 100000;
+
+// Monday-based weekday index (MO = 0 ... SU = 6), matching WEEKDAYS.
+const weekdayIndex = (date) => (date.getUTCDay() + 6) % 7;
+
+const shift = (date, { days = 0, months = 0, years = 0 }) =>
+  new Date(Date.UTC(
+    date.getUTCFullYear() + years,
+    date.getUTCMonth() + months,
+    date.getUTCDate() + days,
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+    date.getUTCMilliseconds(),
+  ));
+
+const stepFor = (freq, step) => {
+  switch (freq) {
+    case 'daily':
+      return { days: step };
+    case 'weekly':
+      return { days: step * 7 };
+    case 'monthly':
+      return { months: step };
+    case 'yearly':
+      return { years: step };
+    default:
+      throw new Error(`Unsupported recurrence frequency: "${freq}".`);
+  }
+};
+
+// Yields every candidate start of the series in ascending order, stepping
+// through UTC calendar fields. The generator is unbounded; callers stop it
+// through count/until/window.
+function* utcCandidateStarts(start, rule) {
+  const interval = rule.interval || 1;
+  const byDay = Array.isArray(rule.byDay) && rule.byDay.length
+    ? rule.byDay.map((day) => WEEKDAYS.indexOf(day))
+    : null;
+
+  if (rule.freq === 'weekly' && byDay) {
+    const offsets = [...byDay].sort((a, b) => a - b);
+    const weekStart = shift(start, { days: -weekdayIndex(start) });
+
+    for (let week = 0; ; week += interval) {
+      for (const offset of offsets) {
+        const candidate = shift(weekStart, { days: week * 7 + offset });
+        if (candidate >= start) {
+          yield candidate;
+        }
+      }
+    }
+  }
+
+  for (let step = 0; ; step += interval) {
+    const candidate = shift(start, stepFor(rule.freq, step));
+
+    // Months without the anchor day (e.g. the 31st) are skipped, not clamped.
+    if (
+      (rule.freq === 'monthly' || rule.freq === 'yearly') &&
+      candidate.getUTCDate() !== start.getUTCDate()
+    ) {
+      continue;
+    }
+    if (rule.freq === 'daily' && byDay && !byDay.includes(weekdayIndex(candidate))) {
+      continue;
+    }
+
+    yield candidate;
+  }
+}
+
+// Same as utcCandidateStarts, but the calendar stepping happens on the
+// wall clock of `timeZone`, so a 09:00 series stays at 09:00 local time
+// across DST changes.
+function* candidateStarts(start, rule, timeZone) {
+  if (!timeZone || timeZone === 'UTC') {
+    yield* utcCandidateStarts(start, rule);
+    return;
+  }
+
+  for (const wallClock of utcCandidateStarts(toWallClock(start, timeZone), rule)) {
+    yield fromWallClock(wallClock, timeZone);
+  }
+}
+
+const overlaps = (start, end, from, to) => start < to && end > from;
+
+const OVERRIDE_FIELDS = ['description', 'location'];
+
+const exceptionsByStart = (event) =>
+  new Map((event.exceptions || []).map((exception) => [
+    exception.originalStart.getTime(),
+    exception,
+  ]));
+
+// Applies a stored per-occurrence override to a generated instance.
+const applyException = (originalStart, duration, exception) => {
+  const occurrence = {
+    originalStart,
+    start: originalStart,
+    end: new Date(originalStart.getTime() + duration),
+    overrides: {},
+  };
+
+  if (!exception) {
+    return occurrence;
+  }
+
+  if (exception.datetime_start) {
+    occurrence.start = exception.datetime_start;
+    occurrence.end = new Date(exception.datetime_start.getTime() + duration);
+  }
+  if (exception.datetime_end) {
+    occurrence.end = exception.datetime_end;
+  }
+  for (const field of OVERRIDE_FIELDS) {
+    if (exception[field] !== undefined) {
+      occurrence.overrides[field] = exception[field];
+    }
+  }
+  occurrence.isException = true;
+
+  return occurrence;
+};
+
+// Walks the series in order and calls `visit(candidate, index)` for every
+// generated start (exdates included) until `visit` returns false or the
+// series ends through count/until.
+const walkSeries = (event, visit) => {
+  const rule = event.recurrence;
+  const until = event.repeatUntil;
+  let index = 0;
+  let iterations = 0;
+
+  for (const candidate of candidateStarts(event.datetime_start, rule, event.timeZone)) {
+    if (++iterations > MAX_ITERATIONS) {
+      return;
+    }
+    if (until && candidate > until) {
+      return;
+    }
+    if (rule.count && index >= rule.count) {
+      return;
+    }
+    if (visit(candidate, index) === false) {
+      return;
+    }
+    index++;
+  }
+};
+
+// Returns the zero-based position of `date` within the series, or -1 when
+// the series never generates that start (or has excluded it).
+const locateOccurrence = (event, date) => {
+  if (!event.recurrence) {
+    return event.datetime_start.getTime() === date.getTime() ? 0 : -1;
+  }
+
+  const exdates = new Set((event.recurrence.exdates || []).map((d) => d.getTime()));
+  let position = -1;
+
+  walkSeries(event, (candidate, index) => {
+    if (candidate > date) {
+      return false;
+    }
+    if (candidate.getTime() === date.getTime() && !exdates.has(candidate.getTime())) {
+      position = index;
+      return false;
+    }
+    return true;
+  });
+
+  return position;
+};
+
+// Start of the last occurrence the rule generates, or null for an unbounded
+// series.
+const lastGeneratedStart = (event) => {
+  if (!event.recurrence) {
+    return event.datetime_start;
+  }
+  if (!event.recurrence.count && !event.repeatUntil) {
+    return null;
+  }
+
+  let last = null;
+  walkSeries(event, (candidate) => {
+    last = candidate;
+    return true;
+  });
+
+  return last;
+};
+
+// End of the last occurrence, moved occurrences included, or null for an
+// unbounded series. Events store it as `seriesEnd` so scans for upcoming
+// occurrences can leave out series that are over.
+const seriesEnd = (event) => {
+  const last = lastGeneratedStart(event);
+  if (!last) {
+    return null;
+  }
+
+  const duration = event.datetime_end.getTime() - event.datetime_start.getTime();
+  const ends = (event.exceptions || [])
+    .filter((exception) => !exception.cancelled)
+    .map((exception) => applyException(exception.originalStart, duration, exception).end.getTime());
+
+  return new Date(Math.max(last.getTime() + duration, ...ends));
+};
+
+// Expands an event into the concrete occurrences that overlap the [from, to)
+// window, with cancellations skipped and overrides applied. Every occurrence
+// keeps the `originalStart` generated by the rule, which identifies it.
+const expandOccurrences = (event, from, to) => {
+  const duration = event.datetime_end.getTime() - event.datetime_start.getTime();
+  const exceptions = exceptionsByStart(event);
+
+  if (!event.recurrence) {
+    const occurrence = applyException(event.datetime_start, duration, null);
+    return overlaps(occurrence.start, occurrence.end, from, to) ? [occurrence] : [];
+  }
+
+  const exdates = new Set((event.recurrence.exdates || []).map((date) => date.getTime()));
+  const visited = new Set();
+  const occurrences = [];
+
+  walkSeries(event, (candidate) => {
+    if (candidate >= to) {
+      return false;
+    }
+    visited.add(candidate.getTime());
+
+    const exception = exceptions.get(candidate.getTime());
+    if (exdates.has(candidate.getTime()) || (exception && exception.cancelled)) {
+      return true;
+    }
+
+    const occurrence = applyException(candidate, duration, exception);
+    if (overlaps(occurrence.start, occurrence.end, from, to)) {
+      occurrences.push(occurrence);
+    }
+    return true;
+  });
+
+  // Overrides that move an occurrence from after the window into it.
+  for (const [time, exception] of exceptions) {
+    if (visited.has(time) || exception.cancelled) {
+      continue;
+    }
+
+    const originalStart = new Date(time);
+    const occurrence = applyException(originalStart, duration, exception);
+    if (
+      overlaps(occurrence.start, occurrence.end, from, to) &&
+      locateOccurrence(event, originalStart) !== -1
+    ) {
+      occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences.sort((a, b) => a.start - b.start);
+};
+
+// Ends the series right before the occurrence at `originalStart` (found at
+// position `index`) and returns the fields to store on the original event.
+const truncateSeries = (event, originalStart, index) => {
+  const before = (date) => date < originalStart;
+  const recurrence = {
+    ...event.recurrence,
+    exdates: (event.recurrence.exdates || []).filter(before),
+  };
+
+  if (event.recurrence.count) {
+    recurrence.count = index;
+  }
+
+  const fields = {
+    recurrence,
+    repeatUntil: new Date(originalStart.getTime() - 1),
+    exceptions: (event.exceptions || []).filter((exception) => before(exception.originalStart)),
+  };
+  return { ...fields, seriesEnd: seriesEnd({ ...event, ...fields }) };
+};
+
+// Builds a new series that continues `event` from the occurrence at
+// `originalStart` with `changes` applied. Exceptions and exdates only carry
+// over while the anchor stays put, since they are keyed by generated starts.
+// The iCalendar UID stays with the original event, which keeps the earlier
+// occurrences; the new series gets its own on export.
+const continueSeries = (event, originalStart, index, changes) => {
+  const { _id, icalUID, ...rest } = event;
+  const duration = event.datetime_end.getTime() - event.datetime_start.getTime();
+  const start = changes.datetime_start || originalStart;
+  const keepExceptions = start.getTime() === originalStart.getTime();
+  const after = (date) => keepExceptions && date >= originalStart;
+
+  const recurrence = changes.recurrence || {
+    ...event.recurrence,
+    exdates: (event.recurrence.exdates || []).filter(after),
+  };
+  if (!changes.recurrence && event.recurrence.count) {
+    recurrence.count = event.recurrence.count - index;
+  }
+
+  const series = {
+    ...rest,
+    ...changes,
+    datetime_start: start,
+    datetime_end: changes.datetime_end || new Date(start.getTime() + duration),
+    recurrence,
+    exceptions: (event.exceptions || []).filter((exception) => after(exception.originalStart)),
+  };
+  return { ...series, seriesEnd: seriesEnd(series) };
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAYS,
+  locateOccurrence,
+  lastGeneratedStart,
+  seriesEnd,
+  applyException,
+  expandOccurrences,
+  truncateSeries,
+  continueSeries,
+};
@@ -0,0 +1,342 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+const { expandOccurrences } = require('./recurrence');
+const { formatInstant } = require('./timezones');
+const { isSuspended } = require('./accounts');
+const { sendMail } = require('./mailer');
+const { describeLocation } = require('./eventFormat');
+
+// Reminders are queued in the notifications collection by a planner that
+// looks at upcoming occurrences, and sent by a dispatcher that claims due
+// entries one at a time. Both run in the API process; since the queue lives
+// in the database, nothing is lost on a restart and several processes can
+// share the work.
+const MAX_REMINDER_MINUTES = 7 * 24 * 60;
+const MAX_REMINDERS = 5;
+const MINUTE_MS = 60 * 1000;
+const DISPATCH_INTERVAL_MS = MINUTE_MS;
+const PLAN_INTERVAL_MS = 5 * MINUTE_MS;
+// Queued this far ahead of their send time, more than a planning interval so
+// that none falls between two runs.
+const PLAN_AHEAD_MS = 15 * MINUTE_MS;
+// A reminder already this late when first planned (say, a "1 day before" for
+// an event created an hour ahead) is skipped rather than sent.
+const MAX_LATENESS_MS = 15 * MINUTE_MS;
+// A claimed reminder that was neither sent nor failed by then (the process
+// died mid-send) becomes due again.
+const CLAIM_TIMEOUT_MS = 5 * MINUTE_MS;
+const RETRY_DELAYS_MS = [1, 5, 15, 60].map((minutes) => minutes * MINUTE_MS);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const DISPATCH_BATCH_SIZE = 100;
+
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed', 'cancelled', 'expired'];
+
+const getNotifications = () => mongodb.getDb().collection('notifications');
+const getEvents = () => mongodb.getDb().collection('events');
+const getUsers = () => mongodb.getDb().collection('users');
+const getRsvps = () => mongodb.getDb().collection('rsvps');
+
+// Minutes before the start at which `user` is reminded of `event`: the
+// event's own reminders plus the user's defaults, unless they turned
+// reminders off.
+const reminderOffsets = (event, user) => {
+  if (user.remindersEnabled === false) {
+    return [];
+  }
+  return [...new Set([...(event.reminders || []), ...(user.reminders || [])])];
+};
+
+const canReceive = (user) => Boolean(user && !user.deletedAt && !isSuspended(user) && user.email);
+
+// Identifies one reminder so repeated or concurrent planning queues it once.
+// The start is part of it: an occurrence that moves is reminded of again.
+const reminderKey = (eventId, occurrence, userId, minutesBefore) => [
+  eventId,
+  occurrence.originalStart.toISOString(),
+  occurrence.start.toISOString(),
+  userId,
+  minutesBefore,
+].join(':');
+
+// RSVPs of a single event have no occurrence; those of a series name the
+// original start of one.
+const rsvpOccurrence = (event, originalStart) => (event.recurrence ? originalStart : null);
+
+const isForOccurrence = (event, rsvp, occurrence) => {
+  const expected = rsvpOccurrence(event, occurrence.originalStart);
+  return expected === null
+    ? rsvp.occurrence == null
+    : Boolean(rsvp.occurrence) && rsvp.occurrence.getTime() === expected.getTime();
+};
+
+const findUsers = async (ids) => {
+  const objectIds = ids.filter((id) => ObjectId.isValid(id)).map((id) => ObjectId.createFromHexString(id));
+  const users = await getUsers().find({ _id: { $in: objectIds } }).toArray();
+  return new Map(users.map((user) => [user._id.toString(), user]));
+};
+
+const queueReminder = async (doc) => {
+  const { key, ...fields } = doc;
+  try {
+    const result = await getNotifications().updateOne(
+      { key },
+      { $setOnInsert: fields },
+      { upsert: true },
+    );
+    return result.upsertedCount;
+  } catch (err) {
+    // Another process queued the same reminder in the meantime.
+    if (err.code === 11000) {
+      return 0;
+    }
+    throw err;
+  }
+};
+
+// Queues the reminders of `event` that are due within PLAN_AHEAD_MS, for
+// the owner and everyone going to the occurrence. Resolves how many were new.
+const planEventReminders = async (event, now = new Date()) => {
+  const planUntil = new Date(now.getTime() + PLAN_AHEAD_MS);
+  const occurrences = expandOccurrences(
+    event,
+    now,
+    new Date(planUntil.getTime() + MAX_REMINDER_MINUTES * MINUTE_MS),
+  ).filter((occurrence) => occurrence.start > now);
+
+  if (!occurrences.length) {
+    return 0;
+  }
+
+  const rsvps = await getRsvps().find({ eventId: event._id, status: 'going' }).toArray();
+  const users = await findUsers([...new Set([event.ownerID, ...rsvps.map((rsvp) => rsvp.userId)])]);
+
+  let queued = 0;
+  for (const occurrence of occurrences) {
+    const recipients = new Set([
+      event.ownerID,
+      ...rsvps.filter((rsvp) => isForOccurrence(event, rsvp, occurrence)).map((rsvp) => rsvp.userId),
+    ]);
+
+    for (const userId of recipients) {
+      const user = users.get(userId);
+      if (!canReceive(user)) {
+        continue;
+      }
+
+      for (const minutesBefore of reminderOffsets(event, user)) {
+        const sendAt = new Date(occurrence.start.getTime() - minutesBefore * MINUTE_MS);
+        if (sendAt > planUntil || now - sendAt > MAX_LATENESS_MS) {
+          continue;
+        }
+
+        queued += await queueReminder({
+          key: reminderKey(event._id.toString(), occurrence, userId, minutesBefore),
+          kind: 'reminder',
+          userId,
+          eventId: event._id,
+          originalStart: occurrence.originalStart,
+          start: occurrence.start,
+          minutesBefore,
+          sendAt,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: sendAt,
+          createdAt: now,
+        });
+      }
+    }
+  }
+
+  return queued;
+};
+
+const planReminders = async (now = new Date()) => {
+  const to = new Date(now.getTime() + PLAN_AHEAD_MS + MAX_REMINDER_MINUTES * MINUTE_MS);
+  const events = await getEvents().find({
+    deletedAt: null,
+    datetime_start: { $lt: to },
+    // Series without a seriesEnd never end (or were stored before it was).
+    $or: [
+      { recurrence: null, datetime_start: { $gt: now } },
+      { recurrence: { $ne: null }, seriesEnd: null },
+      { recurrence: { $ne: null }, seriesEnd: { $gt: now } },
+    ],
+  }).toArray();
+
+  let queued = 0;
+  for (const event of events) {
+    queued += await planEventReminders(event, now);
+  }
+  return queued;
+};
+
+// Called after an event changed: reminders queued for the old times are
+// dropped and the event is planned again. Reminders already being sent or
+// retried are left alone; the dispatcher re-checks them before each attempt.
+const rescheduleReminders = async (eventId) => {
+  await getNotifications().deleteMany({ eventId, status: 'pending', attempts: 0 });
+
+  const event = await getEvents().findOne({ _id: eventId, deletedAt: null });
+  return event ? planEventReminders(event) : 0;
+};
+
+const buildReminder = (event, occurrence, user) => {
+  const details = { ...event, ...occurrence.overrides };
+  const timeZone = user.timeZone || event.timeZone || 'UTC';
+  const lines = [
+    details.description,
+    '',
+    `Starts: ${formatInstant(occurrence.start, timeZone)} (${timeZone})`,
+    `Ends: ${formatInstant(occurrence.end, timeZone)} (${timeZone})`,
+  ];
+  const location = describeLocation(details);
+  if (location) {
+    lines.push(`Location: ${location}`);
+  }
+
+  const title = details.description.length > 80
+    ? `${details.description.slice(0, 77)}...`
+    : details.description;
+
+  return { to: user.email, subject: `Reminder: ${title}`, text: lines.join('\n') };
+};
+
+// Re-checks a due reminder against the current state: the occurrence must
+// still start at the planned time and the user must still attend and want
+// the reminder. Resolves the message to send, or the status to settle on.
+const resolveReminder = async (notification, now) => {
+  if (notification.start <= now) {
+    return { status: 'expired' };
+  }
+
+  const event = await getEvents().findOne({ _id: notification.eventId, deletedAt: null });
+  const occurrence = event && expandOccurrences(
+    event,
+    notification.start,
+    new Date(notification.start.getTime() + 1),
+  ).find((candidate) =>
+    candidate.originalStart.getTime() === notification.originalStart.getTime() &&
+    candidate.start.getTime() === notification.start.getTime());
+  if (!occurrence) {
+    return { status: 'cancelled' };
+  }
+
+  const user = (await findUsers([notification.userId])).get(notification.userId);
+  if (!canReceive(user) || !reminderOffsets(event, user).includes(notification.minutesBefore)) {
+    return { status: 'cancelled' };
+  }
+
+  if (event.ownerID !== notification.userId) {
+    const rsvp = await getRsvps().findOne({
+      eventId: event._id,
+      userId: notification.userId,
+      occurrence: rsvpOccurrence(event, notification.originalStart),
+      status: 'going',
+    });
+    if (!rsvp) {
+      return { status: 'cancelled' };
+    }
+  }
+
+  return { message: buildReminder(event, occurrence, user) };
+};
+
+const claimNext = (now) => getNotifications().findOneAndUpdate(
+  { status: 'pending', nextAttemptAt: { $lte: now } },
+  { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS) }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, returnDocument: 'after' },
+);
+
+// Final writes only apply to the attempt that was claimed, in case the claim
+// timed out and another process picked the reminder up.
+const settle = (notification, update) => getNotifications().updateOne(
+  { _id: notification._id, attempts: notification.attempts },
+  update,
+);
+
+const deliver = async (notification, now) => {
+  const { status, message } = await resolveReminder(notification, now);
+
+  if (status) {
+    // Cancelled reminders free their key so they can be planned again if
+    // the change is undone.
+    await settle(notification, status === 'cancelled'
+      ? { $set: { status }, $unset: { key: '' } }
+      : { $set: { status } });
+    return false;
+  }
+
+  try {
+    await sendMail(message);
+  } catch (err) {
+    const failed = notification.attempts >= MAX_ATTEMPTS;
+    await settle(notification, {
+      $set: failed
+        ? { status: 'failed', lastError: err.message }
+        : {
+          nextAttemptAt: new Date(Date.now() + RETRY_DELAYS_MS[notification.attempts - 1]),
+          lastError: err.message,
+        },
+    });
+    return false;
+  }
+
+  await settle(notification, { $set: { status: 'sent', sentAt: new Date() }, $unset: { lastError: '' } });
+  return true;
+};
+
+// Sends the reminders that are due. Resolves how many went out.
+const dispatchDue = async (now = new Date()) => {
+  let sent = 0;
+  for (let i = 0; i < DISPATCH_BATCH_SIZE; i += 1) {
+    const notification = await claimNext(now);
+    if (!notification) {
+      break;
+    }
+    if (await deliver(notification, now)) {
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+const startReminderScheduler = () => {
+  let running = false;
+  let plannedAt = 0;
+
+  const run = async () => {
+    // A slow run (many reminders, a slow mail server) is not overlapped.
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const now = new Date();
+      if (now.getTime() - plannedAt >= PLAN_INTERVAL_MS) {
+        await planReminders(now);
+        plannedAt = now.getTime();
+      }
+      const sent = await dispatchDue(now);
+      if (sent) {
+        console.log(`Sent ${sent} reminder(s).`);
+      }
+    } catch (err) {
+      console.error('Reminder scheduler failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, DISPATCH_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  MAX_REMINDER_MINUTES,
+  MAX_REMINDERS,
+  NOTIFICATION_STATUSES,
+  planReminders,
+  rescheduleReminders,
+  dispatchDue,
+  startReminderScheduler,
+};
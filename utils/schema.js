@@ -0,0 +1,381 @@
+const { ObjectId } = require('mongodb');
+const { ValidationError } = require('./errors');
+const { isValidTimeZone, parseDateTime } = require('./timezones');
+
+// A schema is a plain object describing one value:
+//
+//   { type, required, default, description, example, validate(value, context) }
+//
+// plus type-specific keys:
+//
+//   string    minLength, maxLength, pattern (values are trimmed, never empty)
+//   email
+//   password  minLength, maxLength (kept verbatim, never trimmed)
+//   number    integer, min, max (numeric strings are accepted, e.g. queries)
+//   boolean
+//   date      timeZoneField: root field naming the zone of offset-less values
+//   objectId
+//   options   options: allowed values
+//   timezone  IANA zone name
+//   array     items: schema, minItems, maxItems, dedupe (drop repeated items)
+//   object    properties: { name: schema }, strict (reject unknown keys),
+//             partial (nothing required, no defaults), rules, title (on the
+//             root object: the message a failed validation throws with,
+//             naming what was checked, e.g. 'Invalid event payload.')
+//
+// `rules` are cross-field checks of the form { field, message, check(data) }.
+// They run against the parsed object merged over `defaults` (on the root
+// object: the stored document on update) once every property is valid.
+// `validate` hooks return an error message, or nothing when the value is fine.
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Message of validation errors for schemas without a title.
+const DEFAULT_TITLE = 'Invalid request.';
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const parseString = (schema, value, path, fail) => {
+  if (typeof value !== 'string') {
+    return fail(`${path} must be a string.`);
+  }
+
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return fail(`${path} must be a non-empty string.`);
+  }
+  if (typeof schema.minLength === 'number' && trimmed.length < schema.minLength) {
+    return fail(`${path} must be at least ${schema.minLength} characters long.`);
+  }
+  if (typeof schema.maxLength === 'number' && trimmed.length > schema.maxLength) {
+    return fail(`${path} must be at most ${schema.maxLength} characters long.`);
+  }
+  if (schema.pattern && !schema.pattern.test(trimmed)) {
+    return fail(`${path} has an invalid format.`);
+  }
+
+  return trimmed;
+};
+
+const parseEmail = (schema, value, path, fail) => {
+  const email = parseString({}, value, path, fail);
+  if (email === undefined) {
+    return undefined;
+  }
+  if (!EMAIL_REGEX.test(email)) {
+    return fail(`${path} must be a valid email address.`);
+  }
+
+  return email;
+};
+
+const parsePassword = (schema, value, path, fail) => {
+  if (typeof value !== 'string') {
+    return fail(`${path} must be a string.`);
+  }
+  if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+    return fail(`${path} must be at least ${schema.minLength} characters long.`);
+  }
+  if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+    return fail(`${path} must be at most ${schema.maxLength} characters long.`);
+  }
+
+  return value;
+};
+
+const parseNumber = (schema, value, path, fail) => {
+  const num = typeof value === 'number' ? value : Number(value);
+
+  if (Number.isNaN(num) || (typeof value === 'string' && !value.trim())) {
+    return fail(`${path} must be a valid number.`);
+  }
+  if (schema.integer && !Number.isInteger(num)) {
+    return fail(`${path} must be an integer.`);
+  }
+  if (typeof schema.min === 'number' && num < schema.min) {
+    return fail(`${path} must be greater than or equal to ${schema.min}.`);
+  }
+  if (typeof schema.max === 'number' && num > schema.max) {
+    return fail(`${path} must be less than or equal to ${schema.max}.`);
+  }
+
+  return num;
+};
+
+const parseBoolean = (schema, value, path, fail) => {
+  if (typeof value !== 'boolean') {
+    return fail(`${path} must be a boolean.`);
+  }
+
+  return value;
+};
+
+// Offset-less date-times are read in the zone named by the root field
+// `timeZoneField` (from the input, then the defaults), or in UTC.
+const parseDate = (schema, value, path, fail, context) => {
+  const { timeZoneField } = schema;
+  const timeZone = timeZoneField &&
+    (context.root[timeZoneField] ?? context.defaults[timeZoneField]);
+  const date = parseDateTime(value, isValidTimeZone(timeZone) ? timeZone : 'UTC');
+
+  if (Number.isNaN(date.getTime())) {
+    return fail(`${path} must be a valid date.`);
+  }
+
+  return date;
+};
+
+const parseObjectId = (schema, value, path, fail) => {
+  const id = parseString({}, value, path, fail);
+  if (id === undefined) {
+    return undefined;
+  }
+  if (!ObjectId.isValid(id)) {
+    return fail(`${path} must be a valid Mongo ObjectId string.`);
+  }
+
+  return id;
+};
+
+const parseOptions = (schema, value, path, fail) => {
+  const option = typeof value === 'string' ? value.trim() : value;
+  if (!schema.options.includes(option)) {
+    return fail(`${path} must be one of: ${schema.options.join(', ')}.`);
+  }
+
+  return option;
+};
+
+const parseTimeZone = (schema, value, path, fail) => {
+  if (!isValidTimeZone(value)) {
+    return fail(`${path} must be a valid IANA time zone name.`);
+  }
+
+  return value;
+};
+
+const parseArray = (schema, value, path, fail, context) => {
+  if (!Array.isArray(value)) {
+    return fail(`${path} must be an array.`);
+  }
+  if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+    return fail(`${path} must contain at least ${schema.minItems} item(s).`);
+  }
+  if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+    return fail(`${path} must contain at most ${schema.maxItems} item(s).`);
+  }
+
+  const errorCount = context.errors.length;
+  const items = value.map((item, index) =>
+    validateValue({ required: true, ...schema.items }, item, `${path}[${index}]`, context));
+  if (context.errors.length > errorCount) {
+    return undefined;
+  }
+
+  if (schema.dedupe) {
+    const seen = new Set();
+    return items.filter((item) => {
+      const key = item instanceof Date ? item.getTime() : item;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  return items;
+};
+
+const parseObject = (schema, value, path, fail, context, defaults = {}) => {
+  if (!isPlainObject(value)) {
+    return fail(path ? `${path} must be an object.` : 'Request body must be a JSON object.');
+  }
+
+  const properties = schema.properties || {};
+  const errorCount = context.errors.length;
+  const data = {};
+
+  for (const [key, property] of Object.entries(properties)) {
+    const effective = schema.partial
+      ? { ...property, required: false, default: undefined }
+      : property;
+    const parsed = validateValue(effective, value[key], joinPath(path, key), context);
+    if (parsed !== undefined) {
+      data[key] = parsed;
+    }
+  }
+
+  if (schema.strict) {
+    for (const key of Object.keys(value)) {
+      if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+        context.errors.push({
+          field: joinPath(path, key),
+          message: `${joinPath(path, key)} is not an allowed field.`,
+        });
+      }
+    }
+  }
+
+  if (context.errors.length > errorCount) {
+    return undefined;
+  }
+
+  const merged = { ...defaults, ...data };
+  for (const rule of schema.rules || []) {
+    if (!rule.check(merged)) {
+      context.errors.push({ field: joinPath(path, rule.field), message: rule.message });
+    }
+  }
+
+  return data;
+};
+
+const parsers = {
+  string: parseString,
+  email: parseEmail,
+  password: parsePassword,
+  number: parseNumber,
+  boolean: parseBoolean,
+  date: parseDate,
+  objectId: parseObjectId,
+  options: parseOptions,
+  timezone: parseTimeZone,
+  array: parseArray,
+  object: parseObject,
+};
+
+const validateValue = (schema, value, path, context) => {
+  if (value === undefined || value === null) {
+    if (schema.required) {
+      context.errors.push({ field: path, message: `${path} is required.` });
+    }
+    return schema.default;
+  }
+
+  const parser = parsers[schema.type];
+  if (!parser) {
+    throw new Error(`Unsupported schema type "${schema.type}" at ${path || 'root'}.`);
+  }
+
+  const fail = (message) => {
+    context.errors.push({ field: path, message });
+    return undefined;
+  };
+  const parsed = parser(schema, value, path, fail, context);
+
+  if (parsed !== undefined && schema.validate) {
+    const message = schema.validate(parsed, context);
+    if (message) {
+      return fail(message);
+    }
+  }
+
+  return parsed;
+};
+
+// Validates `input` against the object schema and returns the parsed data
+// (trimmed strings, Date instances, defaults applied). Throws a
+// ValidationError listing every problem, keyed by field path.
+const validate = (schema, input, { defaults = {} } = {}) => {
+  const context = { root: isPlainObject(input) ? input : {}, defaults, errors: [] };
+  const fail = (message) => {
+    context.errors.push({ field: 'body', message });
+    return undefined;
+  };
+  const data = parseObject(schema, input, '', fail, context, defaults);
+
+  if (context.errors.length) {
+    throw new ValidationError(schema.title || DEFAULT_TITLE, context.errors);
+  }
+
+  return data;
+};
+
+// Same schema with no required properties and no defaults on its top level,
+// for updates that only send what changes.
+const asPartial = (schema) => ({ ...schema, partial: true });
+
+const compact = (object) =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+// OpenAPI 3 rendering of a schema, used to generate swagger request bodies.
+const toOpenApi = (schema) => {
+  const common = {
+    description: schema.description,
+    example: schema.example,
+    default: schema.default,
+  };
+
+  switch (schema.type) {
+    case 'string':
+      return compact({
+        type: 'string',
+        minLength: schema.minLength,
+        maxLength: schema.maxLength,
+        pattern: schema.pattern && schema.pattern.source,
+        ...common,
+      });
+    case 'email':
+      return compact({ type: 'string', format: 'email', ...common });
+    case 'password':
+      return compact({
+        type: 'string',
+        format: 'password',
+        minLength: schema.minLength,
+        maxLength: schema.maxLength,
+        ...common,
+      });
+    case 'number':
+      return compact({
+        type: schema.integer ? 'integer' : 'number',
+        minimum: schema.min,
+        maximum: schema.max,
+        ...common,
+      });
+    case 'boolean':
+      return compact({ type: 'boolean', ...common });
+    case 'date':
+      return compact({ type: 'string', format: 'date-time', ...common });
+    case 'objectId':
+      return compact({ type: 'string', pattern: '^[0-9a-fA-F]{24}$', ...common });
+    case 'options':
+      return compact({ type: 'string', enum: schema.options, ...common });
+    case 'timezone':
+      return compact({ type: 'string', ...common, example: schema.example || 'Europe/Berlin' });
+    case 'array':
+      return compact({
+        type: 'array',
+        items: toOpenApi(schema.items),
+        minItems: schema.minItems,
+        maxItems: schema.maxItems,
+        ...common,
+      });
+    case 'object': {
+      const properties = schema.properties || {};
+      const required = schema.partial
+        ? []
+        : Object.keys(properties).filter((key) => properties[key].required);
+
+      return compact({
+        type: 'object',
+        required: required.length ? required : undefined,
+        properties: Object.fromEntries(
+          Object.entries(properties).map(([key, property]) => [key, toOpenApi(property)]),
+        ),
+        additionalProperties: schema.strict ? false : undefined,
+        ...common,
+      });
+    }
+    default:
+      throw new Error(`Unsupported schema type "${schema.type}".`);
+  }
+};
+
+module.exports = {
+  validate,
+  asPartial,
+  toOpenApi,
+};
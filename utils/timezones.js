@@ -0,0 +1,158 @@
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of `date` as seen in `timeZone` (month is 1-based).
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+// Milliseconds `timeZone` is ahead of UTC at the instant `date`.
+const getOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+// Converts wall-clock fields in `timeZone` to the UTC instant. Times that
+// fall into a DST gap are shifted forward by the size of the gap.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const firstGuess = wallClock - getOffset(new Date(wallClock), timeZone);
+  const offset = getOffset(new Date(firstGuess), timeZone);
+
+  return new Date(wallClock - offset);
+};
+
+// ISO 8601 date-times without an offset, e.g. "2024-06-01T18:00" or
+// "2024-06-01".
+const WALL_CLOCK_VALUE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+
+// Reads a date-time string without an offset as wall-clock time in
+// `timeZone`. Returns undefined when the string is not of that form.
+const parseWallClock = (value, timeZone) => {
+  const match = WALL_CLOCK_VALUE.exec(value.trim());
+  if (!match) {
+    return undefined;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0'] = match;
+  return zonedTimeToUtc({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+    millisecond: Number(fraction.padEnd(3, '0')),
+  }, timeZone);
+};
+
+// Like `new Date(value)`, except that strings without an offset are read in
+// `timeZone` instead of the server's zone.
+const parseDateTime = (value, timeZone) =>
+  (typeof value === 'string' && parseWallClock(value, timeZone || 'UTC')) || new Date(value);
+
+// The wall-clock time of `date` in `timeZone`, encoded as if it were UTC so
+// that calendar arithmetic can use the plain UTC accessors.
+const toWallClock = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+
+  return new Date(Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    date.getUTCMilliseconds(),
+  ));
+};
+
+// Inverse of toWallClock.
+const fromWallClock = (wallClock, timeZone) => zonedTimeToUtc({
+  year: wallClock.getUTCFullYear(),
+  month: wallClock.getUTCMonth() + 1,
+  day: wallClock.getUTCDate(),
+  hour: wallClock.getUTCHours(),
+  minute: wallClock.getUTCMinutes(),
+  second: wallClock.getUTCSeconds(),
+  millisecond: wallClock.getUTCMilliseconds(),
+}, timeZone);
+
+const pad = (value) => String(Math.trunc(value)).padStart(2, '0');
+
+// ISO 8601 string of `date` with the offset of `timeZone`, e.g.
+// "2024-06-01T20:00:00.000+02:00". Without a zone (or at offset zero) this
+// is the plain UTC form.
+const formatInstant = (date, timeZone) => {
+  if (!timeZone) {
+    return date.toISOString();
+  }
+
+  const offset = getOffset(date, timeZone);
+  if (offset === 0) {
+    return date.toISOString();
+  }
+
+  const local = new Date(date.getTime() + offset).toISOString().slice(0, -1);
+  const minutes = Math.abs(offset) / 60000;
+  const sign = offset < 0 ? '-' : '+';
+
+  return `${local}${sign}${pad(minutes / 60)}:${pad(minutes % 60)}`;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getOffset,
+  zonedTimeToUtc,
+  parseWallClock,
+  parseDateTime,
+  toWallClock,
+  fromWallClock,
+  formatInstant,
+};
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Secrets handed to clients are random; only their SHA-256 digest is stored,
+// so a leaked database does not leak usable tokens.
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const matchesHash = (token, expectedHash) => {
+  if (typeof token !== 'string' || typeof expectedHash !== 'string') {
+    return false;
+  }
+
+  const actual = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  generateToken,
+  hashToken,
+  matchesHash,
+};
@@ -0,0 +1,26 @@
+const toHexString = (value) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  return typeof value === 'string' ? value : value.toHexString();
+};
+
+const formatUser = (doc) => ({
+  id: toHexString(doc._id),
+  firstName: doc.firstName,
+  lastName: doc.lastName,
+  avatar: doc.avatar,
+  email: doc.email,
+  requiresApproval: Boolean(doc.requiresApproval),
+  timeZone: doc.timeZone || null,
+  reminders: doc.reminders || [],
+  remindersEnabled: doc.remindersEnabled !== false,
+  subscribetTo: Array.isArray(doc.subscribetTo)
+    ? doc.subscribetTo.map((subscriptionId) => toHexString(subscriptionId))
+    : [],
+});
+
+module.exports = {
+  formatUser,
+};
@@ -0,0 +1,46 @@
+// Users and events carry a `version` that every write increments, starting
+// from 1 on insert; documents written before versioning count as version 0.
+// It is exposed as a strong ETag, and If-Match makes a write conditional on
+// it so concurrent edits cannot silently overwrite each other.
+const INITIAL_VERSION = 1;
+
+// Spread into an update document: { $set: ..., ...BUMP_VERSION }.
+const BUMP_VERSION = { $inc: { version: 1 } };
+
+const versionOf = (doc) => doc.version || 0;
+
+const setETag = (res, doc) => res.set('ETag', `"${versionOf(doc)}"`);
+
+// Versions accepted by the If-Match header, or null when any will do (no
+// header, or `*`). Weak and malformed tags never match.
+const parseIfMatch = (req) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+
+  return header
+    .split(',')
+    .map((tag) => /^"(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+};
+
+// Filter to add to a write so it only applies at a version If-Match accepts.
+// Empty without the header. Version 0 matches documents without the field.
+const ifMatchFilter = (req) => {
+  const accepted = parseIfMatch(req);
+  if (!accepted) {
+    return {};
+  }
+
+  return { version: { $in: accepted.map((version) => version || null) } };
+};
+
+module.exports = {
+  INITIAL_VERSION,
+  BUMP_VERSION,
+  versionOf,
+  setETag,
+  ifMatchFilter,
+};
@@ -0,0 +1,67 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../db');
+
+const USERS_COLLECTION = 'users';
+
+const toHexString = (value) =>
+  typeof value === 'string' ? value : value.toHexString();
+
+const getSubscribedOwnerIds = async (viewerId) => {
+  if (!viewerId || !ObjectId.isValid(viewerId)) {
+    return [];
+  }
+
+  const viewer = await mongodb.getDb().collection(USERS_COLLECTION).findOne(
+    { _id: ObjectId.createFromHexString(viewerId) },
+    { projection: { subscribetTo: 1 } },
+  );
+
+  if (!viewer || !Array.isArray(viewer.subscribetTo)) {
+    return [];
+  }
+
+  return viewer.subscribetTo.map(toHexString);
+};
+
+// Mongo filter matching every event the viewer is allowed to read:
+// public events, the viewer's own events, and 'subscribers' events
+// of owners the viewer is subscribed to. 'private' events only match
+// through the ownership branch; deleted events never match. Callers that
+// already loaded the viewer's subscriptions can pass them to save a lookup.
+const buildVisibilityFilter = async (viewerId, subscribedOwnerIds) => {
+  if (!subscribedOwnerIds) {
+    subscribedOwnerIds = await getSubscribedOwnerIds(viewerId);
+  }
+
+  return {
+    deletedAt: null,
+    $or: [
+      { visibility: 'public' },
+      { ownerID: viewerId },
+      { visibility: 'subscribers', ownerID: { $in: subscribedOwnerIds } },
+    ],
+  };
+};
+
+const canViewEvent = (event, viewerId, subscribedOwnerIds = []) => {
+  if (event.deletedAt) {
+    return false;
+  }
+  if (event.ownerID === viewerId) {
+    return true;
+  }
+  if (event.visibility === 'public') {
+    return true;
+  }
+  if (event.visibility === 'subscribers') {
+    return subscribedOwnerIds.includes(event.ownerID);
+  }
+
+  return false;
+};
+
+module.exports = {
+  getSubscribedOwnerIds,
+  buildVisibilityFilter,
+  canViewEvent,
+};
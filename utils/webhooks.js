@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const mongodb = require('../db');
+const { onChange, toPayload } = require('./changes');
+const { assertPublicHost, guardedLookup } = require('./privateAddresses');
+
+// Changes are queued as deliveries, one per matching webhook, and sent by a
+// dispatcher in the API process. Failed deliveries are retried with
+// exponential backoff; the queue doubles as the delivery log.
+const SECRET_PREFIX = 'whsec_';
+const MAX_WEBHOOKS = 10;
+const DISPATCH_INTERVAL_MS = 10 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Retries wait 30 s, 1 min, 2 min, ... about 4 hours over all attempts.
+const RETRY_BASE_MS = 30 * 1000;
+const MAX_ATTEMPTS = 10;
+const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+const DISPATCH_BATCH_SIZE = 50;
+const MAX_RESPONSE_LENGTH = 1000;
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+
+const getWebhooks = () => mongodb.getDb().collection('webhooks');
+const getDeliveries = () => mongodb.getDb().collection('webhook_deliveries');
+
+// Signature header value for `body` sent at `timestamp` (Unix seconds). The
+// timestamp is signed too, so receivers can reject old messages replayed by
+// someone else.
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const retryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+const newDelivery = (webhook, { payloadId, type, body, replayOf }) => ({
+  webhookId: webhook._id,
+  ownerId: webhook.ownerId,
+  payloadId,
+  type,
+  body,
+  replayOf: replayOf || null,
+  status: 'pending',
+  attempts: 0,
+  nextAttemptAt: new Date(),
+  createdAt: new Date(),
+});
+
+let running = false;
+let rerun = false;
+
+const claimNext = (now) => getDeliveries().findOneAndUpdate(
+  { status: 'pending', nextAttemptAt: { $lte: now } },
+  { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS) }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, returnDocument: 'after' },
+);
+
+// Final writes only apply to the attempt that was claimed.
+const settle = (delivery, update) => getDeliveries().updateOne(
+  { _id: delivery._id, attempts: delivery.attempts },
+  update,
+);
+
+// Sent with http(s).request rather than fetch so the address the request
+// connects to is the one checked by guardedLookup. Redirects are not followed.
+const post = (webhook, delivery) => new Promise((resolve, reject) => {
+  const url = new URL(webhook.url);
+  assertPublicHost(url);
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(delivery.body),
+      'User-Agent': 'events-service-webhooks',
+      'X-Webhook-Id': delivery._id.toString(),
+      'X-Webhook-Event': delivery.type,
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.body),
+    },
+    lookup: guardedLookup,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      if (text.length < MAX_RESPONSE_LENGTH) {
+        text += chunk;
+      }
+    });
+    response.on('end', () => resolve({
+      status: response.statusCode,
+      ok: response.statusCode >= 200 && response.statusCode < 300,
+      body: text.slice(0, MAX_RESPONSE_LENGTH),
+    }));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+  request.end(delivery.body);
+});
+
+const deliver = async (delivery) => {
+  const webhook = await getWebhooks().findOne({ _id: delivery.webhookId });
+  if (!webhook || !webhook.active) {
+    await settle(delivery, { $set: { status: 'cancelled' } });
+    return false;
+  }
+
+  const attempt = { at: new Date() };
+  try {
+    const response = await post(webhook, delivery);
+    attempt.responseStatus = response.status;
+    attempt.responseBody = response.body;
+    if (!response.ok) {
+      attempt.error = `Endpoint answered ${response.status}.`;
+    }
+  } catch (err) {
+    // An aborted request carries the timeout as its `cause`.
+    const timedOut = err.cause && err.cause.name === 'TimeoutError';
+    attempt.error = timedOut ? 'Request timed out.' : err.message;
+  }
+  attempt.durationMs = Date.now() - attempt.at.getTime();
+
+  if (!attempt.error) {
+    await settle(delivery, {
+      $set: { status: 'delivered', deliveredAt: new Date(), lastAttempt: attempt },
+    });
+    return true;
+  }
+
+  const failed = delivery.attempts >= MAX_ATTEMPTS;
+  await settle(delivery, {
+    $set: failed
+      ? { status: 'failed', lastAttempt: attempt }
+      : { nextAttemptAt: new Date(Date.now() + retryDelay(delivery.attempts)), lastAttempt: attempt },
+  });
+  return false;
+};
+
+// Sends the deliveries that are due. Runs are not overlapped: a request for
+// one while another is busy makes that one go again once it is done.
+const dispatchDue = async () => {
+  if (running) {
+    rerun = true;
+    return 0;
+  }
+  running = true;
+
+  let delivered = 0;
+  try {
+    const now = new Date();
+    for (let i = 0; i < DISPATCH_BATCH_SIZE; i += 1) {
+      const delivery = await claimNext(now);
+      if (!delivery) {
+        break;
+      }
+      if (await deliver(delivery)) {
+        delivered += 1;
+      }
+    }
+  } finally {
+    running = false;
+    if (rerun) {
+      rerun = false;
+      dispatchSoon();
+    }
+  }
+  return delivered;
+};
+
+const dispatchSoon = () => {
+  setImmediate(() => dispatchDue().catch((err) => console.error('Webhook dispatch failed:', err)));
+};
+
+// Queues a delivery of `change` to every active webhook of the users it
+// concerns that asked for its type.
+const queueChange = async (change) => {
+  const webhooks = await getWebhooks().find({
+    ownerId: { $in: change.userIds },
+    active: true,
+    events: change.type,
+  }).toArray();
+
+  if (!webhooks.length) {
+    return;
+  }
+
+  const body = JSON.stringify(toPayload(change));
+  await getDeliveries().insertMany(webhooks.map((webhook) => newDelivery(webhook, {
+    payloadId: change.id,
+    type: change.type,
+    body,
+  })));
+  dispatchSoon();
+};
+
+// Sends the payload of an earlier delivery again, as a new delivery. The
+// payload id stays the same so receivers can recognise the repeat.
+const replayDelivery = async (webhook, delivery) => {
+  const replay = newDelivery(webhook, {
+    payloadId: delivery.payloadId,
+    type: delivery.type,
+    body: delivery.body,
+    replayOf: delivery._id,
+  });
+  const result = await getDeliveries().insertOne(replay);
+  dispatchSoon();
+
+  return { ...replay, _id: result.insertedId };
+};
+
+const startWebhookDispatcher = () => {
+  onChange(queueChange);
+
+  const run = () => dispatchDue().catch((err) => console.error('Webhook dispatch failed:', err));
+  run();
+  return setInterval(run, DISPATCH_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  SECRET_PREFIX,
+  MAX_WEBHOOKS,
+  DELIVERY_STATUSES,
+  signPayload,
+  replayDelivery,
+  dispatchDue,
+  startWebhookDispatcher,
+};